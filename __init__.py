@@ -4,71 +4,264 @@ import torch
 import os
 import sys
 import json
+import asyncio
+import struct
 import hashlib
+import zlib
 
 from PIL import Image, ImageOps, ImageSequence
+from PIL.PngImagePlugin import PngInfo
 import numpy as np
 
 import comfy.model_management
+import comfy.samplers
+from comfy.cli_args import args
 import folder_paths
 import node_helpers
+from server import PromptServer
+from aiohttp import web
+
+from .metadata_reader import READER_VERSION, read_image_metadata
+from .metadata_index import MetadataIndex
+from .metadata_privacy import CHUNK_MODES, scrub_metadata
+from .node_rules import RULES_VERSION, extract_prompts_from_metadata, metadata_has_prompts, register_widget_name_resolver
+
+# Generation settings outputs. The JS side writes them as "key: value" lines into the
+# read-only generation_settings widget; sampler_name and scheduler use the KSampler
+# combo types so they can be wired straight into a sampler.
+SETTINGS_RETURN_TYPES = ("INT", "INT", "FLOAT", comfy.samplers.KSampler.SAMPLERS, comfy.samplers.KSampler.SCHEDULERS, "FLOAT", "STRING", "INT", "INT")
+SETTINGS_RETURN_NAMES = ("seed", "steps", "cfg", "sampler_name", "scheduler", "denoise", "model_name", "width", "height")
+
+WIDGET_INPUT_TYPES = ("INT", "FLOAT", "STRING", "BOOLEAN", "COMBO")
+
+def widget_names_from_node_class(class_type):
+    """widgets_values names of an installed node type, like getWidgetNamesFromNodeDef in the frontend"""
+    import nodes
+    node_class = nodes.NODE_CLASS_MAPPINGS.get(class_type)
+    try:
+        input_types = node_class.INPUT_TYPES() if node_class else None
+    except Exception:
+        return None
+    if not isinstance(input_types, dict):
+        return None
+
+    names = []
+    for group in ("required", "optional"):
+        for name, spec in (input_types.get(group) or {}).items():
+            spec = spec if isinstance(spec, (list, tuple)) else ()
+            input_type = spec[0] if spec else None
+            options = spec[1] if len(spec) > 1 and isinstance(spec[1], dict) else {}
+            if (not isinstance(input_type, (list, tuple)) and input_type not in WIDGET_INPUT_TYPES) or options.get("forceInput"):
+                continue
+            names.append(name)
+            if input_type == "INT" and (options.get("control_after_generate") or name in ("seed", "noise_seed")):
+                names.append("control_after_generate")
+            if options.get("image_upload"):
+                names.append("upload")
+    return names
+
+# UI workflows of node types the shared rules don't know are mapped through the installed nodes
+register_widget_name_resolver(widget_names_from_node_class)
+
+def parse_generation_settings(text):
+    """Parse the "key: value" lines of the generation_settings widget into a dict"""
+    settings = {}
+    for line in (text or "").splitlines():
+        key, sep, value = line.partition(":")
+        if sep and key.strip():
+            settings[key.strip()] = value.strip()
+    return settings
+
+def settings_outputs(generation_settings, image):
+    """Typed values for SETTINGS_RETURN_NAMES, with sensible defaults for anything missing"""
+    settings = parse_generation_settings(generation_settings)
+
+    def number(key, cast, default):
+        try:
+            value = settings[key]
+            # int() first so large seeds don't lose precision going through float
+            return cast(value) if cast is int and value.lstrip("-").isdigit() else cast(float(value))
+        except (KeyError, ValueError):
+            return default
+
+    # A sampler/scheduler this ComfyUI doesn't know would only fail later inside the KSampler
+    def choice(key, options, default):
+        value = settings.get(key)
+        return value if value in options else default
+
+    # Without a latent size in the metadata (img2img, A1111 without Size), use the image itself
+    return (
+        number("seed", int, 0),
+        number("steps", int, 20),
+        number("cfg", float, 8.0),
+        choice("sampler_name", comfy.samplers.KSampler.SAMPLERS, "euler"),
+        choice("scheduler", comfy.samplers.KSampler.SCHEDULERS, "normal"),
+        number("denoise", float, 1.0),
+        settings.get("model", ""),
+        number("width", int, image.shape[2]),
+        number("height", int, image.shape[1]),
+    )
+
+IMAGE_SOURCES = ["input", "output", "temp"]
+
+def resolve_image_path(filename, subfolder="", image_type="input"):
+    """Absolute path of an image inside ComfyUI's input/output/temp folders, or None if it escapes them"""
+    filename, annotated_dir = folder_paths.annotated_filepath(filename)
+    base_dir = annotated_dir or folder_paths.get_directory_by_type(image_type)
+    if base_dir is None:
+        return None
+    base_dir = os.path.abspath(base_dir)
+    image_path = os.path.abspath(os.path.join(base_dir, subfolder, filename))
+    try:
+        if os.path.commonpath((image_path, base_dir)) != base_dir:
+            return None
+    except ValueError:
+        return None  # On another drive (Windows)
+    return image_path
+
+def list_images(source="input"):
+    """Images and videos in a source folder and its subfolders, as forward-slash paths relative to it"""
+    base_dir = folder_paths.get_directory_by_type(source)
+    if base_dir is None or not os.path.isdir(base_dir):
+        return []
+    files = []
+    for root, dirs, filenames in os.walk(base_dir, followlinks=True):
+        dirs[:] = sorted(d for d in dirs if not d.startswith("."))  # skip .cache, .git, ...
+        subfolder = os.path.relpath(root, base_dir)
+        for filename in filenames:
+            files.append(filename if subfolder == "." else os.path.join(subfolder, filename).replace(os.sep, "/"))
+    return sorted(folder_paths.filter_files_content_types(files, ["image", "video"]))
+
+def annotate_image_name(name, source):
+    """ComfyUI's "name [output]" form, which /view, previews and get_annotated_filepath understand"""
+    return name if source == "input" else "{} [{}]".format(name, source)
+
+VIDEO_EXTENSIONS = ('.mp4', '.mov', '.m4v', '.webm', '.mkv')
+
+# Like VHS LoadVideo: a decoded 1080p frame is ~25 MB as float32, so whole clips rarely fit in memory
+VIDEO_INPUTS = {
+    "frame_load_cap": ("INT", {"default": 0, "min": 0, "max": 0xffff, "step": 1, "tooltip": "Videos only: most frames to load, 0 for all"}),
+    "skip_first_frames": ("INT", {"default": 0, "min": 0, "max": 0xffffff, "step": 1, "tooltip": "Videos only"}),
+    "select_every_nth": ("INT", {"default": 1, "min": 1, "max": 0xffff, "step": 1, "tooltip": "Videos only"}),
+}
+
+def load_video_tensors(video_path, frame_load_cap=0, skip_first_frames=0, select_every_nth=1):
+    """(image, mask) tensors of a video file, one batch entry per selected frame"""
+    import av  # Ships with recent ComfyUI; only needed for videos
+
+    select_every_nth = max(1, select_every_nth)
+    frames = []
+    with av.open(video_path) as container:
+        stream = container.streams.video[0]
+
+        # Refuse up front what can't fit, rather than swapping the machine to death halfway
+        frame_count = stream.frames  # 0 when the container doesn't say (WebM, MKV)
+        if not frame_count and stream.duration and stream.time_base and stream.average_rate:
+            frame_count = int(stream.duration * stream.time_base * stream.average_rate)
+        if frame_count:
+            selected = max(0, -(-(frame_count - skip_first_frames) // select_every_nth))
+            selected = min(selected, frame_load_cap) if frame_load_cap else selected
+            needed = selected * stream.height * stream.width * 3 * (4 + 1)  # float32 tensor plus 8-bit frames
+            free = comfy.model_management.get_free_memory(torch.device("cpu"))
+            if needed > free:
+                raise ValueError("{} frames of {} need {:.1f} GB, only {:.1f} GB free: lower frame_load_cap or raise select_every_nth".format(
+                    selected, os.path.basename(video_path), needed / 1024 ** 3, free / 1024 ** 3))
+
+        for frame_index, frame in enumerate(container.decode(stream)):
+            if frame_index < skip_first_frames or (frame_index - skip_first_frames) % select_every_nth:
+                continue
+            frames.append(frame.to_ndarray(format="rgb24"))  # Kept 8-bit until the tensor is filled
+            if frame_load_cap and len(frames) >= frame_load_cap:
+                break
+    if not frames:
+        raise ValueError("No video frames in {}".format(video_path))
+
+    images = torch.empty((len(frames),) + frames[0].shape, dtype=torch.float32)
+    for i in range(len(frames)):
+        images[i].copy_(torch.from_numpy(frames[i]))
+        frames[i] = None
+    images.div_(255.0)
+    return images, torch.zeros((images.shape[0], 64, 64), dtype=torch.float32, device="cpu")
+
+def load_image_tensors(image_path, **video_options):
+    """(image, mask) tensors of an image file; animated files and videos give one batch entry per frame.
+    `video_options` (VIDEO_INPUTS) select the frames of videos."""
+    if image_path.lower().endswith(VIDEO_EXTENSIONS):
+        return load_video_tensors(image_path, **video_options)
+
+    img = node_helpers.pillow(Image.open, image_path)
+
+    output_images = []
+    output_masks = []
+    for i in ImageSequence.Iterator(img):
+        i = node_helpers.pillow(ImageOps.exif_transpose, i)
+        if i.mode == 'I':
+            i = i.point(lambda i: i * (1 / 255))
+
+        image_rgb = i.convert("RGB")
+        image_np = np.array(image_rgb).astype(np.float32) / 255.0
+        image_tensor = torch.from_numpy(image_np)[None,]
+
+        mask = torch.zeros((64, 64), dtype=torch.float32, device="cpu")
+        if 'A' in i.getbands():
+            mask_np = np.array(i.getchannel('A')).astype(np.float32) / 255.0
+            mask = 1. - torch.from_numpy(mask_np)
+
+        output_images.append(image_tensor)
+        output_masks.append(mask.unsqueeze(0))
+
+    if len(output_images) > 1:
+        return torch.cat(output_images, dim=0), torch.cat(output_masks, dim=0)
+    return output_images[0], output_masks[0]
+
+def list_batch_images(source="input", subfolder="", prompts_only=False):
+    """Images of a source folder below `subfolder` (recursively), optionally only the ones with prompts"""
+    subfolder = subfolder.strip().replace("\\", "/").strip("/")
+    prefix = subfolder + "/" if subfolder else ""
+    files = [name for name in list_images(source) if name.startswith(prefix)]
+    if prompts_only:
+        # node_rules.metadata_has_prompts, the same rules load_batch_image reads the prompts with
+        has_prompts = metadata_index.scan(folder_paths.get_directory_by_type(source), files)
+        files = [name for name in files if has_prompts.get(name)]
+    return files
 
 class LoadImageX:
     @classmethod
     def INPUT_TYPES(s):
-        input_dir = folder_paths.get_input_directory()
-        files = folder_paths.filter_files_content_types(os.listdir(input_dir), ["image"])
+        files = list_images("input")
         return {
             "required": {
                 "image": (sorted(files), {"image_upload": True})
             },
             "optional": {
                 "positive_prompt": ("STRING", {"multiline": True, "default": ""}),
-                "negative_prompt": ("STRING", {"multiline": True, "default": ""})
+                "negative_prompt": ("STRING", {"multiline": True, "default": ""}),
+                "generation_settings": ("STRING", {"multiline": True, "default": ""}),
+                "loras_and_embeddings": ("STRING", {"multiline": True, "default": ""}),
+                **VIDEO_INPUTS
             }
         }
 
-    RETURN_TYPES = ("IMAGE", "MASK", "STRING", "STRING")
-    RETURN_NAMES = ("IMAGE", "MASK", "positive_prompt", "negative_prompt")
+    RETURN_TYPES = ("IMAGE", "MASK", "STRING", "STRING") + SETTINGS_RETURN_TYPES + ("STRING",)
+    RETURN_NAMES = ("IMAGE", "MASK", "positive_prompt", "negative_prompt") + SETTINGS_RETURN_NAMES + ("loras_and_embeddings",)
 
     CATEGORY = "testt"
     FUNCTION = "load_image"
 
-    def load_image(self, image, positive_prompt="", negative_prompt=""):
-        image_path = folder_paths.get_annotated_filepath(image)
-        img = node_helpers.pillow(Image.open, image_path)
-
-        output_images = []
-        output_masks = []
-        for i in ImageSequence.Iterator(img):
-            i = node_helpers.pillow(ImageOps.exif_transpose, i)
-            if i.mode == 'I':
-                i = i.point(lambda i: i * (1 / 255))
-            
-            image_rgb = i.convert("RGB")
-            image_np = np.array(image_rgb).astype(np.float32) / 255.0
-            image_tensor = torch.from_numpy(image_np)[None,]
-            
-            mask = torch.zeros((64, 64), dtype=torch.float32, device="cpu")
-            if 'A' in i.getbands():
-                mask_np = np.array(i.getchannel('A')).astype(np.float32) / 255.0
-                mask = 1. - torch.from_numpy(mask_np)
-
-            output_images.append(image_tensor)
-            output_masks.append(mask.unsqueeze(0))
-
-        if len(output_images) > 1:
-            output_image = torch.cat(output_images, dim=0)
-            output_mask = torch.cat(output_masks, dim=0)
-        else:
-            output_image = output_images[0]
-            output_mask = output_masks[0]
-        
-        return (output_image, output_mask, positive_prompt, negative_prompt)
+    def load_image(self, image, positive_prompt="", negative_prompt="", generation_settings="", loras_and_embeddings="", **video_options):
+        image_path = resolve_image_path(image)
+        if image_path is None:
+            raise ValueError("Invalid image path: {}".format(image))
+        output_image, output_mask = load_image_tensors(image_path, **video_options)
+
+        settings = settings_outputs(generation_settings, output_image)
+        return (output_image, output_mask, positive_prompt, negative_prompt) + settings + (loras_and_embeddings,)
 
     @classmethod
     def IS_CHANGED(s, image, **kwargs):
-        image_path = folder_paths.get_annotated_filepath(image)
+        image_path = resolve_image_path(image)
+        if image_path is None:
+            return ""
         m = hashlib.sha256()
         with open(image_path, 'rb') as f:
             m.update(f.read())
@@ -76,7 +269,8 @@ class LoadImageX:
 
     @classmethod
     def VALIDATE_INPUTS(s, image, **kwargs):
-        if not folder_paths.exists_annotated_filepath(image):
+        image_path = resolve_image_path(image)
+        if image_path is None or not os.path.isfile(image_path):
             return "Invalid image file: {}".format(image)
         return True
 
@@ -85,13 +279,11 @@ class OnlyLoadImagesWithMetadata:
     @classmethod
     def INPUT_TYPES(s):
         input_dir = folder_paths.get_input_directory()
-        files = folder_paths.filter_files_content_types(os.listdir(input_dir), ["image"])
+        files = list_images("input")
         
-        # Filter files to only include those with metadata
-        filtered_files = []
-        for file in files:
-            if s._has_prompt_metadata(file):
-                filtered_files.append(file)
+        # Filter files to only include those with metadata (cached, unchanged files aren't re-read)
+        has_prompts = metadata_index.scan(input_dir, files)
+        filtered_files = [file for file in files if has_prompts.get(file)]
         
         return {
             "required": {
@@ -99,209 +291,42 @@ class OnlyLoadImagesWithMetadata:
             },
             "optional": {
                 "positive_prompt": ("STRING", {"multiline": True, "default": ""}),
-                "negative_prompt": ("STRING", {"multiline": True, "default": ""})
+                "negative_prompt": ("STRING", {"multiline": True, "default": ""}),
+                "generation_settings": ("STRING", {"multiline": True, "default": ""}),
+                "loras_and_embeddings": ("STRING", {"multiline": True, "default": ""}),
+                **VIDEO_INPUTS
             }
         }
 
-    RETURN_TYPES = ("IMAGE", "MASK", "STRING", "STRING")
-    RETURN_NAMES = ("IMAGE", "MASK", "positive_prompt", "negative_prompt")
+    RETURN_TYPES = ("IMAGE", "MASK", "STRING", "STRING") + SETTINGS_RETURN_TYPES + ("STRING",)
+    RETURN_NAMES = ("IMAGE", "MASK", "positive_prompt", "negative_prompt") + SETTINGS_RETURN_NAMES + ("loras_and_embeddings",)
 
     CATEGORY = "testt"
     FUNCTION = "load_image"
 
     @classmethod
-    def _has_prompt_metadata(cls, filename):
-        """Check if an image file contains prompt metadata"""
+    def _has_prompt_metadata(cls, image_path):
+        """Check if an image file contains prompt metadata (see metadata_reader: PNGs are read up to the image data, plus their last 64 KB)"""
         try:
-            input_dir = folder_paths.get_input_directory()
-            image_path = os.path.join(input_dir, filename)
-            
-            if not os.path.exists(image_path):
-                return False
-            
-            # Read and parse PNG metadata
-            with open(image_path, 'rb') as f:
-                data = f.read()
-            
-            # Check PNG signature
-            png_signature = b'\x89PNG\r\n\x1a\n'
-            if not data.startswith(png_signature):
-                return False  # Not a PNG file
-            
-            # Parse PNG chunks to find tEXt or iTXt chunks
-            offset = 8  # Skip PNG signature
-            while offset < len(data):
-                if offset + 8 > len(data):
-                    break
-                
-                length = int.from_bytes(data[offset:offset+4], 'big')
-                chunk_type = data[offset+4:offset+8].decode('ascii', errors='ignore')
-                
-                if chunk_type in ('tEXt', 'iTXt'):
-                    chunk_data = data[offset+8:offset+8+length]
-                    try:
-                        text = chunk_data.decode('utf-8', errors='ignore')
-                        null_index = text.find('\0')
-                        if null_index != -1:
-                            keyword = text[:null_index]
-                            value = text[null_index+1:]
-                            
-                            # Check if this is a prompt metadata chunk
-                            if keyword == 'prompt' and value:
-                                # Parse the JSON to check for workflow with prompts
-                                try:
-                                    prompt_data = json.loads(value.replace(': NaN', ': null'))
-                                    if cls._workflow_has_prompts(prompt_data):
-                                        return True
-                                except (json.JSONDecodeError, ValueError):
-                                    continue
-                    except UnicodeDecodeError:
-                        continue
-                
-                offset += 8 + length + 4  # chunk header + data + CRC
-                
-                # Break at IEND chunk
-                if chunk_type == 'IEND':
-                    break
-            
-            return False
-            
+            # API prompt, UI workflow or A1111 parameters, with the same rules as the frontend
+            return metadata_has_prompts(read_image_metadata(image_path))
         except Exception:
             return False
 
-    @classmethod
-    def _workflow_has_prompts(cls, workflow):
-        """Check if workflow contains meaningful prompts"""
-        if not workflow:
-            return False
-        
-        # Input patterns to look for
-        input_patterns = {
-            'positive': ['positive', 'conditioning_positive', 'pos'],
-            'negative': ['negative', 'conditioning_negative', 'nag_negative', 'neg']
-        }
-        
-        try:
-            # Look for nodes with conditioning inputs
-            for node_id, node in workflow.items():
-                if not isinstance(node, dict) or 'inputs' not in node:
-                    continue
-                
-                node_inputs = node['inputs']
-                if not isinstance(node_inputs, dict):
-                    continue
-                
-                # Check for conditioning connections
-                for pattern_type, patterns in input_patterns.items():
-                    for pattern in patterns:
-                        if pattern in node_inputs and isinstance(node_inputs[pattern], list):
-                            # Follow the connection to find text
-                            connected_node_id = str(node_inputs[pattern][0])
-                            if connected_node_id in workflow:
-                                connected_node = workflow[connected_node_id]
-                                text = cls._extract_text_from_node(connected_node_id, workflow)
-                                if text and text.strip():
-                                    return True
-            
-            # Fallback: look for CLIPTextEncode nodes with non-empty text
-            for node_id, node in workflow.items():
-                if not isinstance(node, dict):
-                    continue
-                    
-                if node.get('class_type') in ['CLIPTextEncode', 'CLIPTextEncodeFlux']:
-                    inputs = node.get('inputs', {})
-                    if isinstance(inputs, dict):
-                        # Check various text fields
-                        text_fields = ['text', 'clip_l', 't5xxl', 'prompt']
-                        for field in text_fields:
-                            if field in inputs:
-                                text = inputs[field]
-                                if isinstance(text, str) and text.strip():
-                                    return True
-            
-            return False
-            
-        except Exception:
-            return False
+    def load_image(self, image, positive_prompt="", negative_prompt="", generation_settings="", loras_and_embeddings="", **video_options):
+        image_path = resolve_image_path(image)
+        if image_path is None:
+            raise ValueError("Invalid image path: {}".format(image))
+        output_image, output_mask = load_image_tensors(image_path, **video_options)
 
-    @classmethod
-    def _extract_text_from_node(cls, node_id, workflow, visited=None):
-        """Extract text from a node, following connections"""
-        if visited is None:
-            visited = set()
-            
-        if node_id in visited or node_id not in workflow:
-            return ""
-        
-        visited.add(node_id)
-        node = workflow[node_id]
-        
-        if not isinstance(node, dict):
-            return ""
-        
-        node_type = node.get('class_type', '')
-        inputs = node.get('inputs', {})
-        
-        if not isinstance(inputs, dict):
-            return ""
-        
-        # Handle different node types
-        if node_type == 'CLIPTextEncode' and 'text' in inputs:
-            text = inputs['text']
-            if isinstance(text, list) and text:
-                return cls._extract_text_from_node(str(text[0]), workflow, visited)
-            elif isinstance(text, str):
-                return text
-                
-        elif node_type == 'CLIPTextEncodeFlux':
-            for field in ['clip_l', 't5xxl']:
-                if field in inputs:
-                    text = inputs[field]
-                    if isinstance(text, list) and text:
-                        return cls._extract_text_from_node(str(text[0]), workflow, visited)
-                    elif isinstance(text, str):
-                        return text
-                        
-        elif node_type == 'String Literal' and 'string' in inputs:
-            return str(inputs['string'])
-            
-        return ""
-
-    def load_image(self, image, positive_prompt="", negative_prompt=""):
-        image_path = folder_paths.get_annotated_filepath(image)
-        img = node_helpers.pillow(Image.open, image_path)
-
-        output_images = []
-        output_masks = []
-        for i in ImageSequence.Iterator(img):
-            i = node_helpers.pillow(ImageOps.exif_transpose, i)
-            if i.mode == 'I':
-                i = i.point(lambda i: i * (1 / 255))
-            
-            image_rgb = i.convert("RGB")
-            image_np = np.array(image_rgb).astype(np.float32) / 255.0
-            image_tensor = torch.from_numpy(image_np)[None,]
-            
-            mask = torch.zeros((64, 64), dtype=torch.float32, device="cpu")
-            if 'A' in i.getbands():
-                mask_np = np.array(i.getchannel('A')).astype(np.float32) / 255.0
-                mask = 1. - torch.from_numpy(mask_np)
-
-            output_images.append(image_tensor)
-            output_masks.append(mask.unsqueeze(0))
-
-        if len(output_images) > 1:
-            output_image = torch.cat(output_images, dim=0)
-            output_mask = torch.cat(output_masks, dim=0)
-        else:
-            output_image = output_images[0]
-            output_mask = output_masks[0]
-        
-        return (output_image, output_mask, positive_prompt, negative_prompt)
+        settings = settings_outputs(generation_settings, output_image)
+        return (output_image, output_mask, positive_prompt, negative_prompt) + settings + (loras_and_embeddings,)
 
     @classmethod
     def IS_CHANGED(s, image, **kwargs):
-        image_path = folder_paths.get_annotated_filepath(image)
+        image_path = resolve_image_path(image)
+        if image_path is None:
+            return ""
         m = hashlib.sha256()
         with open(image_path, 'rb') as f:
             m.update(f.read())
@@ -309,19 +334,307 @@ class OnlyLoadImagesWithMetadata:
 
     @classmethod
     def VALIDATE_INPUTS(s, image, **kwargs):
-        if not folder_paths.exists_annotated_filepath(image):
+        image_path = resolve_image_path(image)
+        if image_path is None or not os.path.isfile(image_path):
             return "Invalid image file: {}".format(image)
         return True
 
 
+class ComparePromptsX:
+    @classmethod
+    def INPUT_TYPES(s):
+        files = list_images("input")
+        return {
+            "required": {
+                "image_a": (sorted(files),),
+                "image_b": (sorted(files),)
+            },
+            "optional": {
+                # Filled in by the frontend, which compares the prompts of both images
+                "prompt_diff": ("STRING", {"multiline": True, "default": ""})
+            }
+        }
+
+    RETURN_TYPES = ("STRING",)
+    RETURN_NAMES = ("prompt_diff",)
+
+    CATEGORY = "testt"
+    FUNCTION = "compare"
+
+    def compare(self, image_a, image_b, prompt_diff=""):
+        return (prompt_diff,)
+
+    @classmethod
+    def VALIDATE_INPUTS(s, image_a, image_b, **kwargs):
+        for image in (image_a, image_b):
+            image_path = resolve_image_path(image)
+            if image_path is None or not os.path.isfile(image_path):
+                return "Invalid image file: {}".format(image)
+        return True
+
+
+class SaveImageWithMetadataX:
+    def __init__(self):
+        self.output_dir = folder_paths.get_output_directory()
+        self.type = "output"
+        self.compress_level = 4
+
+    @classmethod
+    def INPUT_TYPES(s):
+        return {
+            "required": {
+                "images": ("IMAGE",),
+                "filename_prefix": ("STRING", {"default": "ComfyUI"}),
+                "metadata": (CHUNK_MODES,),
+                "redact_paths": ("BOOLEAN", {"default": False}),
+                "redact_loras": ("BOOLEAN", {"default": False})
+            },
+            "optional": {
+                # Written by the frontend: the chunks of the image loaded upstream, with the prompts
+                # edited in the loader. Empty means "the prompt and workflow of this run".
+                "edited_metadata": ("STRING", {"default": ""})
+            },
+            "hidden": {"prompt": "PROMPT", "extra_pnginfo": "EXTRA_PNGINFO"}
+        }
+
+    RETURN_TYPES = ()
+    OUTPUT_NODE = True
+
+    CATEGORY = "testt"
+    FUNCTION = "save_images"
+
+    @classmethod
+    def build_chunks(cls, edited_metadata="", prompt=None, extra_pnginfo=None):
+        """Text chunks before the privacy options are applied"""
+        if edited_metadata:
+            try:
+                chunks = json.loads(edited_metadata)
+                if isinstance(chunks, dict):
+                    return chunks
+            except ValueError:
+                pass  # Fall back to the prompt and workflow of this run
+        chunks = {}
+        if prompt is not None:
+            chunks["prompt"] = json.dumps(prompt)
+        for key, value in (extra_pnginfo or {}).items():
+            chunks[key] = json.dumps(value)
+        return chunks
+
+    def save_images(self, images, filename_prefix="ComfyUI", metadata=CHUNK_MODES[0], redact_paths=False, redact_loras=False,
+                    edited_metadata="", prompt=None, extra_pnginfo=None):
+        chunks = scrub_metadata(self.build_chunks(edited_metadata, prompt, extra_pnginfo), metadata, redact_paths, redact_loras)
+
+        full_output_folder, filename, counter, subfolder, filename_prefix = folder_paths.get_save_image_path(
+            filename_prefix, self.output_dir, images[0].shape[1], images[0].shape[0])
+        results = []
+        for batch_number, image in enumerate(images):
+            i = 255. * image.cpu().numpy()
+            img = Image.fromarray(np.clip(i, 0, 255).astype(np.uint8))
+            # Like SaveImage, write no text chunks when ComfyUI runs with --disable-metadata
+            pnginfo = None
+            if not args.disable_metadata:
+                pnginfo = PngInfo()
+                for key, text in chunks.items():
+                    pnginfo.add_text(key, text)
+
+            file = "{}_{:05}_.png".format(filename.replace("%batch_num%", str(batch_number)), counter)
+            img.save(os.path.join(full_output_folder, file), pnginfo=pnginfo, compress_level=self.compress_level)
+            results.append({"filename": file, "subfolder": subfolder, "type": self.type})
+            counter += 1
+
+        return {"ui": {"images": results}}
+
+
+class LoadImageBatchX:
+    @classmethod
+    def INPUT_TYPES(s):
+        return {
+            "required": {
+                "source": (IMAGE_SOURCES,),
+                "subfolder": ("STRING", {"default": ""}),
+                # Wraps around at the end of the folder; the frontend sets it to increment on each queue
+                "index": ("INT", {"default": 0, "min": 0, "max": 0xffffffff, "control_after_generate": True}),
+                "missing_prompts": (["skip", "empty strings"],)
+            },
+            "optional": VIDEO_INPUTS
+        }
+
+    RETURN_TYPES = ("IMAGE", "MASK", "STRING", "STRING", "STRING", "INT", "INT")
+    RETURN_NAMES = ("IMAGE", "MASK", "positive_prompt", "negative_prompt", "filename", "index", "count")
+
+    CATEGORY = "testt"
+    FUNCTION = "load_batch_image"
+
+    def load_batch_image(self, source, subfolder, index, missing_prompts, **video_options):
+        files = list_batch_images(source, subfolder, missing_prompts == "skip")
+        if not files:
+            raise ValueError("No images{} found in {}/{}".format(" with prompts" if missing_prompts == "skip" else "", source, subfolder))
+        index = index % len(files)
+        filename = files[index]
+        image_path = resolve_image_path(filename, image_type=source)
+
+        output_image, output_mask = load_image_tensors(image_path, **video_options)
+        try:
+            positive_prompt, negative_prompt = extract_prompts_from_metadata(read_image_metadata(image_path))
+        except Exception:
+            positive_prompt, negative_prompt = "", ""
+
+        return {
+            "ui": {"batch_index": [index], "batch_count": [len(files)], "batch_filename": [annotate_image_name(filename, source)]},
+            "result": (output_image, output_mask, positive_prompt, negative_prompt, filename, index, len(files))
+        }
+
+    @classmethod
+    def IS_CHANGED(s, source, subfolder, index, missing_prompts, **kwargs):
+        # Same index, different file: the folder changed
+        files = list_batch_images(source, subfolder, missing_prompts == "skip")
+        if not files:
+            return ""
+        image_path = resolve_image_path(files[index % len(files)], image_type=source)
+        return "{}:{}".format(image_path, os.path.getmtime(image_path))
+
+
+# Shared by INPUT_TYPES and the refresh route; lives in the user directory so it survives updates
+metadata_index = MetadataIndex(
+    os.path.join(folder_paths.get_user_directory(), "loadimagex", "metadata_index.json"),
+    OnlyLoadImagesWithMetadata._has_prompt_metadata,
+    version="{}:{}".format(READER_VERSION, RULES_VERSION)
+)
+
+
+@PromptServer.instance.routes.get("/loadimagex/metadata")
+async def get_image_metadata(request):
+    """Parsed metadata of an image, read from the file's header so the browser doesn't download it"""
+    query = request.rel_url.query
+    filename = query.get("filename", "")
+    if not filename:
+        return web.json_response({"error": "filename is required"}, status=400)
+
+    image_path = resolve_image_path(filename, query.get("subfolder", ""), query.get("type", "input"))
+    if image_path is None:
+        return web.json_response({"error": "invalid path"}, status=403)
+    if not os.path.isfile(image_path):
+        return web.json_response({"error": "file not found"}, status=404)
+
+    try:
+        metadata = await asyncio.get_running_loop().run_in_executor(None, read_image_metadata, image_path)
+    except OSError as e:
+        return web.json_response({"error": str(e)}, status=500)
+    except (ValueError, IndexError, struct.error, zlib.error) as e:
+        # A malformed EXIF/XMP segment or chunk
+        return web.json_response({"error": "malformed metadata: {}".format(e)}, status=422)
+    if metadata is None:
+        # Not a format we can read here; the frontend falls back to parsing the full file
+        return web.json_response({"error": "unsupported format"}, status=415)
+    return web.json_response(metadata)
+
+
+@PromptServer.instance.routes.get("/loadimagex/file_hash")
+async def get_file_hash(request):
+    """SHA-256 of an existing image, so an upload can tell a re-upload from a name collision"""
+    query = request.rel_url.query
+    filename = query.get("filename", "")
+    if not filename:
+        return web.json_response({"error": "filename is required"}, status=400)
+
+    image_path = resolve_image_path(filename, query.get("subfolder", ""), query.get("type", "input"))
+    if image_path is None:
+        return web.json_response({"error": "invalid path"}, status=403)
+    if not os.path.isfile(image_path):
+        return web.json_response({"error": "file not found"}, status=404)
+
+    def digest():
+        m = hashlib.sha256()
+        with open(image_path, 'rb') as f:
+            for block in iter(lambda: f.read(1 << 20), b''):
+                m.update(block)
+        return m.hexdigest()
+
+    return web.json_response({"sha256": await asyncio.get_running_loop().run_in_executor(None, digest)})
+
+
+@PromptServer.instance.routes.get("/loadimagex/files")
+async def get_image_files(request):
+    """All images of a source folder (input/output/temp), subfolders included.
+    `subfolder` and `prompts_only=1` narrow it down the way LoadImageBatchX does; `versions=1` adds
+    an "mtime:size" string per file, which changes when a file is overwritten or re-uploaded."""
+    query = request.rel_url.query
+    source = query.get("source", "input")
+    if source not in IMAGE_SOURCES:
+        return web.json_response({"error": "unknown source"}, status=400)
+
+    def list_files():
+        files = list_batch_images(source, query.get("subfolder", ""), query.get("prompts_only") == "1")
+        if query.get("versions") != "1":
+            return {"files": [annotate_image_name(name, source) for name in files]}
+        base_dir = folder_paths.get_directory_by_type(source)
+        versions = {}
+        for name in files:
+            try:
+                stat = os.stat(os.path.join(base_dir, name))
+                versions[annotate_image_name(name, source)] = "{}:{}".format(stat.st_mtime_ns, stat.st_size)
+            except OSError:
+                pass  # Deleted meanwhile
+        return {"files": list(versions), "versions": versions}
+
+    return web.json_response(await asyncio.get_running_loop().run_in_executor(None, list_files))
+
+
+@PromptServer.instance.routes.get("/loadimagex/metadata_index")
+async def get_metadata_index(request):
+    """Files of a source folder whose has-prompts status changed since the client's last `seq`"""
+    query = request.rel_url.query
+    source = query.get("source", "input")
+    if source not in IMAGE_SOURCES:
+        return web.json_response({"error": "unknown source"}, status=400)
+    try:
+        since = int(query.get("since", "0"))
+    except ValueError:
+        since = 0
+
+    def refresh():
+        base_dir = folder_paths.get_directory_by_type(source)
+        metadata_index.scan(base_dir, list_images(source))
+        changes = metadata_index.changes_since(base_dir, since)
+        changes["changed"] = {annotate_image_name(name, source): has for name, has in changes["changed"].items()}
+        changes["removed"] = [annotate_image_name(name, source) for name in changes["removed"]]
+        return changes
+
+    return web.json_response(await asyncio.get_running_loop().run_in_executor(None, refresh))
+
+
+@PromptServer.instance.routes.post("/loadimagex/scrub_metadata")
+async def preview_scrubbed_metadata(request):
+    """The chunks SaveImageWithMetadataX would write for the given chunks and privacy options"""
+    try:
+        data = await request.json()
+    except ValueError:
+        return web.json_response({"error": "invalid JSON"}, status=400)
+    chunks = data.get("chunks") if isinstance(data, dict) else None
+    if not isinstance(chunks, dict):
+        return web.json_response({"error": "chunks is required"}, status=400)
+    mode = data.get("metadata", CHUNK_MODES[0])
+    if mode not in CHUNK_MODES:
+        return web.json_response({"error": "unknown metadata mode"}, status=400)
+
+    scrubbed = {} if args.disable_metadata else scrub_metadata(chunks, mode, bool(data.get("redact_paths")), bool(data.get("redact_loras")))
+    return web.json_response({"chunks": scrubbed})
+
+
 NODE_CLASS_MAPPINGS = { 
     "LoadImageX": LoadImageX,
-    "OnlyLoadImagesWithMetadata": OnlyLoadImagesWithMetadata
+    "OnlyLoadImagesWithMetadata": OnlyLoadImagesWithMetadata,
+    "ComparePromptsX": ComparePromptsX,
+    "SaveImageWithMetadataX": SaveImageWithMetadataX,
+    "LoadImageBatchX": LoadImageBatchX
 }
 
 NODE_DISPLAY_NAME_MAPPINGS = { 
     "LoadImageX": "Load Image And Display Prompt Metadata",
-    "OnlyLoadImagesWithMetadata": "Only Load Images With Metadata"
+    "OnlyLoadImagesWithMetadata": "Only Load Images With Metadata",
+    "ComparePromptsX": "Compare Image Prompts",
+    "SaveImageWithMetadataX": "Save Image With Edited Metadata",
+    "LoadImageBatchX": "Load Image Batch With Prompts"
 }
 
 WEB_DIRECTORY = "./web"
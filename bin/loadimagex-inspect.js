@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Print the prompts and settings the loader would show, for every image under a directory.
+// Runs the same extraction code as the ComfyUI extension (web/js/metadata_core.js).
+//
+//   loadimagex-inspect <directory> [--format json|csv]
+//
+// Exits with 1 when an image had no prompt (or couldn't be read), so it can gate scripts.
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { parseImageMetadata, extractImageInfo, SETTINGS_ORDER } from "../web/js/metadata_core.js";
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp", ".mp4", ".mov", ".m4v", ".webm", ".mkv"];
+const FORMATS = ["json", "csv"];
+const USAGE = `Usage: loadimagex-inspect <directory> [--format ${FORMATS.join("|")}]
+
+Prints filename, positive, negative and settings of every PNG, JPEG, WebP, MP4/MOV
+and WebM/MKV file under <directory> (JSON by default). Exits with 1 if an image has no prompt.`;
+
+function parseArguments(args) {
+    const options = { directory: null, format: "json" };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "-h" || arg === "--help") {
+            options.help = true;
+        } else if (arg === "--format" || arg.startsWith("--format=")) {
+            options.format = arg.includes("=") ? arg.slice("--format=".length) : args[++i];
+        } else if (arg.startsWith("-") || options.directory !== null) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        } else {
+            options.directory = arg;
+        }
+    }
+    if (!options.help && options.directory === null) throw new Error("Missing directory");
+    if (!FORMATS.includes(options.format)) throw new Error(`Unknown format: ${options.format}`);
+    return options;
+}
+
+// Image files under `directory`, relative to it with forward slashes, in a stable order
+async function listImages(directory) {
+    const entries = await readdir(directory, { recursive: true, withFileTypes: true });
+    return entries
+        .filter(entry => entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => path.relative(directory, path.join(entry.parentPath ?? entry.path, entry.name)).split(path.sep).join("/"))
+        .sort();
+}
+
+async function inspectImage(directory, filename) {
+    const buffer = await readFile(path.join(directory, filename));
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    const info = extractImageInfo(await parseImageMetadata(arrayBuffer));
+    return { filename, positive: info.positive, negative: info.negative, settings: info.settings };
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One column per setting, in the order the loader displays them
+function formatCSV(rows) {
+    const keys = new Set(SETTINGS_ORDER.filter(key => rows.some(row => key in row.settings)));
+    for (const row of rows) Object.keys(row.settings).forEach(key => keys.add(key));
+
+    const header = ["filename", "positive", "negative", ...keys];
+    const lines = rows.map(row => [row.filename, row.positive, row.negative, ...[...keys].map(key => row.settings[key])]);
+    return [header, ...lines].map(line => line.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+async function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let filenames;
+    try {
+        filenames = await listImages(options.directory);
+    } catch (error) {
+        console.error(`Cannot read ${options.directory}: ${error.message}`);
+        return 2;
+    }
+
+    const rows = [];
+    const missing = [];
+    for (const filename of filenames) {
+        try {
+            const row = await inspectImage(options.directory, filename);
+            rows.push(row);
+            if (!row.positive && !row.negative) missing.push(filename);
+        } catch (error) {
+            console.error(`${filename}: ${error.message}`);
+            rows.push({ filename, positive: "", negative: "", settings: {} });
+            missing.push(filename);
+        }
+    }
+
+    process.stdout.write(options.format === "csv" ? formatCSV(rows) : JSON.stringify(rows, null, 2) + "\n");
+    for (const filename of missing) console.error(`No prompt found: ${filename}`);
+    return missing.length > 0 ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
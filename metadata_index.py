@@ -0,0 +1,106 @@
+"""Persistent cache of which images carry prompt metadata.
+
+Entries are keyed by absolute path and invalidated by mtime and size, so an unchanged file is
+never parsed twice, even across restarts. Every (re)parsed or removed file gets a new sequence
+number, which lets the frontend ask for only what changed since its last request. An index written
+with another `version` of the detection code is dropped, as its verdicts may no longer hold.
+"""
+from __future__ import annotations
+
+import os
+import json
+import threading
+
+
+class MetadataIndex:
+    def __init__(self, index_path, has_prompts, version=''):
+        self.index_path = index_path
+        self._has_prompts = has_prompts  # callable(image_path) -> bool
+        self.version = version  # of the readers and rules behind has_prompts
+        self._lock = threading.Lock()
+        self._entries = {}  # path -> {"mtime", "size", "has_prompts", "seq"}
+        self._removed = {}  # path -> seq at which it disappeared
+        self._seq = 0
+        self._dirty = False
+        self._load()
+
+    def _load(self):
+        try:
+            with open(self.index_path, 'r', encoding='utf-8') as f:
+                data = json.load(f)
+            self._seq = int(data.get('seq', 0))
+            if data.get('version') != self.version:
+                # Detection changed: every file gets checked again. The sequence goes on, so clients
+                # receive the new verdicts as changes.
+                self._dirty = True
+                return
+            self._entries = data.get('entries', {})
+            self._removed = data.get('removed', {})
+        except (OSError, ValueError):
+            pass  # Missing or corrupt index: start from scratch
+
+    def _save(self):
+        if not self._dirty:
+            return
+        try:
+            os.makedirs(os.path.dirname(self.index_path), exist_ok=True)
+            tmp_path = self.index_path + '.tmp'
+            with open(tmp_path, 'w', encoding='utf-8') as f:
+                json.dump({'version': self.version, 'seq': self._seq, 'entries': self._entries, 'removed': self._removed}, f)
+            os.replace(tmp_path, self.index_path)
+            self._dirty = False
+        except OSError:
+            pass  # A read-only install just doesn't get a persistent cache
+
+    def scan(self, directory, filenames):
+        """Bring the entries for `filenames` (relative to `directory`) up to date; returns {filename: has_prompts}"""
+        directory = os.path.abspath(directory)
+        result = {}
+        with self._lock:
+            for filename in filenames:
+                path = os.path.abspath(os.path.join(directory, filename))
+                try:
+                    stat = os.stat(path)
+                except OSError:
+                    continue
+
+                entry = self._entries.get(path)
+                if entry is None or entry['mtime'] != stat.st_mtime or entry['size'] != stat.st_size:
+                    try:
+                        has_prompts = bool(self._has_prompts(path))
+                    except Exception:
+                        has_prompts = False
+                    self._seq += 1
+                    entry = {'mtime': stat.st_mtime, 'size': stat.st_size, 'has_prompts': has_prompts, 'seq': self._seq}
+                    self._entries[path] = entry
+                    self._removed.pop(path, None)
+                    self._dirty = True
+                result[filename] = entry['has_prompts']
+
+            # Forget files that were deleted
+            prefix = directory + os.sep
+            for path in [p for p in self._entries if p.startswith(prefix) and not os.path.exists(p)]:
+                del self._entries[path]
+                self._seq += 1
+                self._removed[path] = self._seq
+                self._dirty = True
+
+            self._save()
+        return result
+
+    def changes_since(self, directory, since):
+        """Entries under `directory` that changed after sequence number `since`"""
+        directory = os.path.abspath(directory)
+        prefix = directory + os.sep
+        relative = lambda path: os.path.relpath(path, directory).replace(os.sep, '/')
+
+        with self._lock:
+            # A client ahead of us talked to an older index (deleted or reset): send everything
+            full = since <= 0 or since > self._seq
+            if full:
+                since = 0
+            changed = {relative(path): entry['has_prompts'] for path, entry in self._entries.items()
+                       if path.startswith(prefix) and entry['seq'] > since}
+            removed = [relative(path) for path, seq in self._removed.items()
+                       if path.startswith(prefix) and seq > since] if not full else []
+            return {'seq': self._seq, 'full': full, 'changed': changed, 'removed': removed}
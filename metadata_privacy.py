@@ -0,0 +1,141 @@
+"""Strip or redact prompt metadata before images are shared.
+
+Used both by SaveImageWithMetadataX and by the preview route, so the frontend shows exactly
+the chunks that will be written.
+"""
+from __future__ import annotations
+
+import re
+import json
+
+# Which chunks are written. "prompt only" keeps the A1111 style "parameters" text as well,
+# "prompt and workflow" keeps everything.
+CHUNK_MODES = ("prompt and workflow", "prompt only", "none")
+MODEL_EXTENSIONS = ('.safetensors', '.ckpt', '.pt', '.pth', '.bin', '.gguf', '.sft')
+REDACTED = '[redacted]'
+
+# An absolute path (C:\..., \\server\..., /home/...) that starts a word
+ABSOLUTE_PATH_PATTERN = re.compile(r'(?<![\w.])(?:[A-Za-z]:|\\\\[^\\/\s"]+)?(?:[\\/][^\\/\s"\'<>|,]+)+')
+LORA_TAG_PATTERN = re.compile(r'<lora:([^:>]+)')
+LORA_TAG_NAME_PATTERN = re.compile(r'(<lora:)([^:>]+)')
+# A1111 "Lora hashes" setting: Lora hashes: "name: hash, name: hash"
+LORA_HASHES_PATTERN = re.compile(r'(Lora hashes:\s*")([^"]*)(")')
+LORA_HASH_ENTRY_PATTERN = re.compile(r'(^|,\s*)([^:,]+)(?=:)')
+
+
+def _map_strings(value, fn):
+    if isinstance(value, str):
+        return fn(value)
+    if isinstance(value, list):
+        return [_map_strings(item, fn) for item in value]
+    if isinstance(value, dict):
+        return {key: _map_strings(item, fn) for key, item in value.items()}
+    return value
+
+
+def _basename(path):
+    return re.split(r'[\\/]', path)[-1]
+
+
+def _is_model_file(value):
+    return isinstance(value, str) and value.lower().endswith(MODEL_EXTENSIONS)
+
+
+def find_lora_names(values):
+    """LoRA file names used by parsed chunks (API prompt, UI workflow) and <lora:...> tags in text"""
+    names = set()
+
+    def collect(value, in_lora_node=False):
+        if isinstance(value, str):
+            names.update(name.strip() for name in LORA_TAG_PATTERN.findall(value))
+        elif isinstance(value, list):
+            for item in value:
+                if in_lora_node and _is_model_file(item):
+                    names.add(item)
+                collect(item, in_lora_node)
+        elif isinstance(value, dict):
+            # API prompt and UI workflow nodes tell their type through class_type / type
+            node_type = value.get('class_type') or value.get('type')
+            in_lora_node = in_lora_node or (isinstance(node_type, str) and 'lora' in node_type.lower())
+            for key, item in value.items():
+                if ('lora' in key.lower() or in_lora_node) and _is_model_file(item):
+                    names.add(item)
+                collect(item, in_lora_node)
+
+    for value in values:
+        collect(value)
+    names.discard('')
+    return names
+
+
+def _lora_redactor(names):
+    """Replaces LoRA names. File names (with extension, with or without subfolders) go wherever they
+    stand as a whole word; bare names, which can be ordinary words ("add", "ink"), only inside
+    <lora:name:...> tags, A1111 "Lora hashes" or when they are a whole value such as a lora_name field."""
+    files, bare = set(), set()
+    for name in names:
+        for variant in (name, _basename(name)):
+            (files if variant.lower().endswith(MODEL_EXTENSIONS) else bare).add(variant)
+            if variant.lower().endswith(MODEL_EXTENSIONS):
+                bare.add(variant.rsplit('.', 1)[0])
+    whole_values = {variant for variant in files | bare if variant}
+    if not whole_values:
+        return lambda text: text
+
+    files = sorted((variant for variant in files if len(variant) > 1), key=len, reverse=True)
+    file_pattern = re.compile(r'(?<![\w-])(?:%s)(?![\w-])' % '|'.join(re.escape(variant) for variant in files)) if files else None
+
+    def redact_name(match):
+        return match.group(1) + REDACTED if match.group(2).strip() in whole_values else match.group(0)
+
+    def redact_hashes(match):
+        return match.group(1) + LORA_HASH_ENTRY_PATTERN.sub(redact_name, match.group(2)) + match.group(3)
+
+    def redact(text):
+        if text.strip() in whole_values:
+            return REDACTED
+        text = LORA_TAG_NAME_PATTERN.sub(redact_name, text)
+        text = LORA_HASHES_PATTERN.sub(redact_hashes, text)
+        return file_pattern.sub(REDACTED, text) if file_pattern else text
+    return redact
+
+
+def _redact_paths(text, whole_value):
+    # A value that is just a relative model path ("sdxl/model.safetensors") keeps only the file name
+    if whole_value and '\n' not in text and re.search(r'[\\/]', text) and re.search(r'\.\w{1,12}$', text):
+        return _basename(text)
+    return ABSOLUTE_PATH_PATTERN.sub(lambda match: _basename(match.group(0)), text)
+
+
+def scrub_metadata(chunks, mode=CHUNK_MODES[0], redact_paths=False, redact_loras=False):
+    """Chunks to write ({keyword: text}) after dropping and redacting according to the privacy options"""
+    if mode == 'none':
+        return {}
+
+    # Chunks may come in as text or as already parsed JSON
+    parsed = {}
+    for key, value in chunks.items():
+        if mode == 'prompt only' and key not in ('prompt', 'parameters'):
+            continue
+        if value is None:
+            continue
+        if isinstance(value, str):
+            try:
+                data = json.loads(value)
+                parsed[key] = data if isinstance(data, (dict, list)) else value
+            except ValueError:
+                parsed[key] = value
+        else:
+            parsed[key] = value
+
+    redact_lora_names = _lora_redactor(find_lora_names(parsed.values())) if redact_loras else None
+
+    result = {}
+    for key, value in parsed.items():
+        if redact_lora_names:
+            value = _map_strings(value, redact_lora_names)
+        if redact_paths:
+            whole_value = not isinstance(value, str)  # Inside JSON every string is a field of its own
+            value = _map_strings(value, lambda text: _redact_paths(text, whole_value))
+        result[key] = value if isinstance(value, str) else json.dumps(value)
+    return result
@@ -0,0 +1,529 @@
+"""Read prompt metadata from image files without loading the pixel data.
+
+Mirrors the readers in web/js/metadata_core.js: PNG/APNG text chunks, JPEG EXIF/XMP/COM segments,
+WebP EXIF/XMP chunks, MP4/MOV metadata items and Matroska/WebM tags, all mapped onto the same
+prompt/workflow/parameters keys. Only the metadata bytes are read; everything else is skipped with seek().
+"""
+from __future__ import annotations
+
+import os
+import re
+import json
+import struct
+import zlib
+
+PNG_SIGNATURE = b'\x89PNG\r\n\x1a\n'
+METADATA_KEYS = ('prompt', 'workflow', 'parameters')
+XMP_HEADER = b'http://ns.adobe.com/xap/1.0/\x00'
+# Bump when the readers learn a new format or read a container differently: caches of which files
+# carry prompts (metadata_index.py) are rebuilt when it changes
+READER_VERSION = 3
+# How far from the end of a PNG to look for text chunks written after the image data
+PNG_TAIL_SIZE = 64 * 1024
+
+
+def decode_png_text_chunk(chunk_type, chunk_data):
+    """Decode a tEXt, zTXt or iTXt chunk into (keyword, value) following the PNG spec"""
+    keyword_end = chunk_data.find(b'\0')
+    if keyword_end <= 0:
+        return None
+    keyword = chunk_data[:keyword_end].decode('latin-1')
+
+    try:
+        if chunk_type == 'tEXt':
+            text_bytes = chunk_data[keyword_end+1:]
+        elif chunk_type == 'zTXt':
+            # keyword \0 compression method (0 = zlib) compressed text
+            if chunk_data[keyword_end+1:keyword_end+2] != b'\0':
+                return None
+            text_bytes = zlib.decompress(chunk_data[keyword_end+2:])
+        else:
+            # iTXt: keyword \0 compression flag, compression method, language tag \0 translated keyword \0 text
+            compression_flag = chunk_data[keyword_end+1:keyword_end+2]
+            compression_method = chunk_data[keyword_end+2:keyword_end+3]
+            language_end = chunk_data.find(b'\0', keyword_end+3)
+            if language_end == -1:
+                return None
+            translated_end = chunk_data.find(b'\0', language_end+1)
+            if translated_end == -1:
+                return None
+            text_bytes = chunk_data[translated_end+1:]
+            if compression_flag == b'\x01':
+                if compression_method != b'\0':
+                    return None
+                text_bytes = zlib.decompress(text_bytes)
+    except zlib.error:
+        return None
+
+    # tEXt/zTXt are Latin-1 by spec, but plenty of tools write UTF-8 into them anyway
+    try:
+        return keyword, text_bytes.decode('utf-8')
+    except UnicodeDecodeError:
+        return keyword, text_bytes.decode('latin-1')
+
+
+def read_png_tail_chunks(f, start, file_size, metadata):
+    """Text chunks among the last PNG_TAIL_SIZE bytes, found by their type and checked against their CRC"""
+    tail_start = max(start, file_size - PNG_TAIL_SIZE)
+    f.seek(tail_start)
+    tail = f.read(file_size - tail_start)
+    chunks = []
+    for chunk_type in (b'tEXt', b'zTXt', b'iTXt'):
+        position = tail.find(chunk_type, 4)
+        while position != -1:
+            length = int.from_bytes(tail[position - 4:position], 'big')
+            end = position + 4 + length
+            if end + 4 <= len(tail) and int.from_bytes(tail[end:end + 4], 'big') == zlib.crc32(tail[position:end]):
+                chunks.append((position, chunk_type.decode('ascii'), tail[position + 4:end]))
+            position = tail.find(chunk_type, position + 1)
+    # In file order, so a later chunk wins like it does in the full walk of the frontend
+    for _, chunk_type, chunk_data in sorted(chunks):
+        entry = decode_png_text_chunk(chunk_type, chunk_data)
+        if entry:
+            metadata[entry[0]] = entry[1]
+
+
+def read_png_metadata(f, file_size):
+    """Text chunks of a PNG, stopping at the first IDAT chunk unless it is animated.
+
+    Text chunks written after the image data are only looked for in the last PNG_TAIL_SIZE bytes: walking
+    the IDAT chunks of a large image would read most of the file.
+    """
+    if f.read(8) != PNG_SIGNATURE:
+        return None
+
+    metadata = {}
+    offset = 8
+    animated = False
+    while offset + 8 <= file_size:
+        header = f.read(8)
+        if len(header) < 8:
+            break
+        length = int.from_bytes(header[:4], 'big')
+        chunk_type = header[4:8].decode('ascii', errors='ignore')
+        if chunk_type == 'IEND':
+            break
+        # ComfyUI's SaveAnimatedPNG writes its "comf" chunks after the frames, so animations are walked to the end
+        if chunk_type == 'IDAT' and not animated:
+            read_png_tail_chunks(f, offset, file_size, metadata)
+            break
+        if chunk_type == 'acTL':
+            animated = True
+        if offset + 12 + length > file_size:
+            break  # Truncated chunk
+
+        if chunk_type in ('tEXt', 'zTXt', 'iTXt', 'comf'):
+            # "comf" holds keyword \0 text, like tEXt
+            entry = decode_png_text_chunk('tEXt' if chunk_type == 'comf' else chunk_type, f.read(length))
+            if entry:
+                metadata[entry[0]] = entry[1]
+            f.seek(4, os.SEEK_CUR)  # CRC
+        else:
+            f.seek(length + 4, os.SEEK_CUR)
+        offset += 12 + length
+    return metadata
+
+
+def assign_metadata_text(metadata, text):
+    """Store text found in EXIF/XMP/COM under the right metadata key (see assignMetadataText in JS)"""
+    if not text:
+        return
+    text = text.rstrip('\0').strip()
+    if not text:
+        return
+
+    prefix_match = re.match(r'^([A-Za-z_]+):\s*([\[{][\s\S]*)$', text)
+    if prefix_match:
+        metadata[prefix_match.group(1)] = prefix_match.group(2)
+        return
+
+    if text.startswith('{'):
+        try:
+            data = json.loads(text.replace(': NaN', ': null'))
+        except ValueError:
+            data = None
+        if isinstance(data, dict):
+            # Wrapper object holding the usual keys
+            wrapped_keys = [key for key in METADATA_KEYS if key in data]
+            if wrapped_keys:
+                for key in wrapped_keys:
+                    value = data[key]
+                    metadata[key] = value if isinstance(value, str) else json.dumps(value)
+                return
+            # UI workflow (LiteGraph format)
+            if isinstance(data.get('nodes'), list):
+                metadata.setdefault('workflow', text)
+                return
+            # API prompt (node id -> { class_type, inputs })
+            if any(isinstance(node, dict) and 'class_type' in node for node in data.values()):
+                metadata.setdefault('prompt', text)
+                return
+
+    metadata.setdefault('parameters', text)
+
+
+def decode_user_comment(value):
+    """Decode an EXIF UserComment, which starts with an 8-byte character code"""
+    if len(value) < 8:
+        return ''
+    header = value[:8].rstrip(b'\0')
+    body = value[8:]
+    if header == b'UNICODE':
+        # Most writers use big-endian regardless of the TIFF byte order: guess from the zero bytes
+        sample = body[:200]
+        even_zeros = sum(1 for i in range(0, len(sample) - 1, 2) if sample[i] == 0)
+        odd_zeros = sum(1 for i in range(1, len(sample), 2) if sample[i] == 0)
+        return body.decode('utf-16-be' if even_zeros >= odd_zeros else 'utf-16-le', errors='ignore')
+    return body.decode('utf-8', errors='ignore')
+
+
+def parse_exif_metadata(data, metadata):
+    """Text tags of a TIFF-structured EXIF block (IFD0 + Exif sub-IFD)"""
+    if data.startswith(b'Exif'):
+        data = data[6:]
+    if len(data) < 8 or data[:2] not in (b'II', b'MM'):
+        return
+    endian = '<' if data[:2] == b'II' else '>'
+
+    TAG_IMAGE_DESCRIPTION, TAG_MAKE, TAG_MODEL = 0x010e, 0x010f, 0x0110
+    TAG_EXIF_IFD, TAG_USER_COMMENT = 0x8769, 0x9286
+    TYPE_SIZES = {1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8}
+
+    def read_ifd(ifd_offset, visited):
+        if ifd_offset in visited or ifd_offset + 2 > len(data):
+            return
+        visited.add(ifd_offset)
+        entry_count = struct.unpack_from(endian + 'H', data, ifd_offset)[0]
+        for i in range(entry_count):
+            entry_offset = ifd_offset + 2 + i * 12
+            if entry_offset + 12 > len(data):
+                return
+            tag, value_type, count = struct.unpack_from(endian + 'HHI', data, entry_offset)
+            size = TYPE_SIZES.get(value_type, 1) * count
+            value_offset = struct.unpack_from(endian + 'I', data, entry_offset + 8)[0] if size > 4 else entry_offset + 8
+            if value_offset + size > len(data):
+                continue
+            value = data[value_offset:value_offset + size]
+
+            if tag == TAG_EXIF_IFD:
+                read_ifd(struct.unpack_from(endian + 'I', data, entry_offset + 8)[0], visited)
+            elif tag == TAG_USER_COMMENT:
+                assign_metadata_text(metadata, decode_user_comment(value))
+            elif tag in (TAG_IMAGE_DESCRIPTION, TAG_MAKE, TAG_MODEL) and value_type == 2:
+                # ComfyUI's WebP/JPEG savers put "workflow:..." in Make and "prompt:..." in Model
+                text = value.decode('utf-8', errors='ignore')
+                if re.match(r'^[A-Za-z_]+:\s*[\[{]', text):
+                    assign_metadata_text(metadata, text)
+
+    read_ifd(struct.unpack_from(endian + 'I', data, 4)[0], set())
+
+
+def parse_xmp_metadata(xmp, metadata):
+    """prompt/workflow/parameters from an XMP packet, in attribute or element form"""
+    def decode_entities(s):
+        s = s.replace('&lt;', '<').replace('&gt;', '>').replace('&quot;', '"').replace('&apos;', "'")
+        s = re.sub(r'&#x([0-9a-fA-F]+);', lambda m: chr(int(m.group(1), 16)), s)
+        s = re.sub(r'&#(\d+);', lambda m: chr(int(m.group(1))), s)
+        return s.replace('&amp;', '&')
+
+    def find_value(name):
+        attribute = re.search(r'(?:\w+:)?%s\s*=\s*"([^"]*)"' % name, xmp, re.IGNORECASE)
+        if attribute:
+            return decode_entities(attribute.group(1))
+        element = re.search(r'<(?:\w+:)?%s\b[^>]*>([\s\S]*?)</(?:\w+:)?%s>' % (name, name), xmp, re.IGNORECASE)
+        if not element:
+            return None
+        # Language alternatives and sequences wrap the text in <rdf:li>
+        list_item = re.search(r'<rdf:li\b[^>]*>([\s\S]*?)</rdf:li>', element.group(1))
+        return decode_entities((list_item.group(1) if list_item else element.group(1)).strip())
+
+    for key in METADATA_KEYS:
+        value = find_value(key)
+        if value and key not in metadata:
+            metadata[key] = value
+    if not any(key in metadata for key in METADATA_KEYS):
+        assign_metadata_text(metadata, find_value('UserComment') or find_value('description'))
+
+
+def read_jpeg_metadata(f, file_size):
+    """APP1 (EXIF, XMP) and COM segments of a JPEG, stopping at the start of scan"""
+    if f.read(2) != b'\xff\xd8':
+        return None
+
+    metadata = {}
+    offset = 2
+    while offset + 4 <= file_size:
+        marker_bytes = f.read(2)
+        if len(marker_bytes) < 2 or marker_bytes[0] != 0xFF:
+            break
+        marker = marker_bytes[1]
+        # Fill bytes and standalone markers carry no length
+        if marker == 0xFF:
+            f.seek(-1, os.SEEK_CUR)
+            offset += 1
+            continue
+        if marker == 0x01 or 0xD0 <= marker <= 0xD7:
+            offset += 2
+            continue
+        # Start of scan / end of image: no more metadata segments
+        if marker in (0xDA, 0xD9):
+            break
+
+        length = int.from_bytes(f.read(2), 'big')
+        if length < 2 or offset + 2 + length > file_size:
+            break
+
+        if marker == 0xE1:
+            segment = f.read(length - 2)
+            if segment.startswith(b'Exif\0'):
+                parse_exif_metadata(segment, metadata)
+            elif segment.startswith(XMP_HEADER):
+                parse_xmp_metadata(segment[len(XMP_HEADER):].decode('utf-8', errors='ignore'), metadata)
+        elif marker == 0xFE:
+            assign_metadata_text(metadata, f.read(length - 2).decode('utf-8', errors='ignore'))
+        else:
+            f.seek(length - 2, os.SEEK_CUR)
+        offset += 2 + length
+    return metadata
+
+
+def read_webp_metadata(f, file_size):
+    """RIFF "EXIF" and "XMP " chunks of a WebP"""
+    header = f.read(12)
+    if len(header) < 12 or header[:4] != b'RIFF' or header[8:12] != b'WEBP':
+        return None
+
+    metadata = {}
+    offset = 12
+    while offset + 8 <= file_size:
+        chunk_header = f.read(8)
+        if len(chunk_header) < 8:
+            break
+        chunk_type = chunk_header[:4]
+        length = int.from_bytes(chunk_header[4:8], 'little')
+        if offset + 8 + length > file_size:
+            break
+        padding = length % 2  # Chunks are padded to an even size
+
+        if chunk_type == b'EXIF':
+            parse_exif_metadata(f.read(length), metadata)
+            f.seek(padding, os.SEEK_CUR)
+        elif chunk_type == b'XMP ':
+            parse_xmp_metadata(f.read(length).decode('utf-8', errors='ignore'), metadata)
+            f.seek(padding, os.SEEK_CUR)
+        else:
+            f.seek(length + padding, os.SEEK_CUR)
+        offset += 8 + length + padding
+    return metadata
+
+
+def assign_video_tag(metadata, name, value):
+    """Store a container tag: prompt/workflow tags as they are, comments like the EXIF texts"""
+    name = name.lower().rsplit('.', 1)[-1]  # "com.apple.quicktime.comment" -> "comment"
+    if name in METADATA_KEYS:
+        metadata.setdefault(name, value)
+    elif name in ('comment', 'description'):
+        # VideoHelperSuite writes {"prompt": ..., "workflow": ...} into the comment
+        assign_metadata_text(metadata, value)
+
+
+# iTunes-style item names and QuickTime user data texts
+MP4_ITEM_NAMES = {b'\xa9cmt': 'comment', b'desc': 'description', b'\xa9des': 'description'}
+
+
+def read_mp4_metadata(f, file_size):
+    """ilst items (including the "mdta" keys ComfyUI's SaveVideo writes) and QuickTime user data of an MP4/MOV"""
+    if f.read(8)[4:8] != b'ftyp':
+        return None
+
+    metadata = {}
+
+    def read_box_header(offset, end):
+        f.seek(offset)
+        header = f.read(8)
+        if len(header) < 8:
+            return None
+        size, box_type, header_size = int.from_bytes(header[:4], 'big'), header[4:8], 8
+        if size == 1:
+            size, header_size = int.from_bytes(f.read(8), 'big'), 16
+        elif size == 0:
+            size = end - offset  # Runs to the end of its parent
+        if size < header_size or offset + size > end:
+            return None
+        return box_type, offset + header_size, offset + size
+
+    def read_item_values(data):
+        # Each ilst item holds "data" boxes: size, "data", type indicator, locale, value
+        values = []
+        offset = 0
+        while offset + 16 <= len(data):
+            size = int.from_bytes(data[offset:offset + 4], 'big')
+            if size < 16 or offset + size > len(data):
+                break
+            if data[offset + 4:offset + 8] == b'data' and int.from_bytes(data[offset + 8:offset + 12], 'big') == 1:
+                values.append(data[offset + 16:offset + size].decode('utf-8', errors='ignore'))
+            offset += size
+        return values
+
+    def read_meta(start, end):
+        keys = []
+        items = []
+        # ISO "meta" is a full box (version and flags first), QuickTime's is not
+        f.seek(start)
+        if f.read(8)[4:8] != b'hdlr':
+            start += 4
+        offset = start
+        while True:
+            box = read_box_header(offset, end)
+            if box is None:
+                break
+            box_type, body_start, offset = box
+            if box_type in (b'keys', b'ilst'):
+                f.seek(body_start)
+                data = f.read(offset - body_start)
+                if box_type == b'keys':
+                    # version/flags, count, then (size, namespace, name) entries
+                    position = 8
+                    while position + 8 <= len(data):
+                        size = int.from_bytes(data[position:position + 4], 'big')
+                        if size < 8:
+                            break
+                        keys.append(data[position + 8:position + size].decode('utf-8', errors='ignore'))
+                        position += size
+                else:
+                    position = 0
+                    while position + 8 <= len(data):
+                        size = int.from_bytes(data[position:position + 4], 'big')
+                        if size < 8:
+                            break
+                        items.append((data[position + 4:position + 8], data[position + 8:position + size]))
+                        position += size
+
+        for item_type, data in items:
+            # Items of an "mdta" meta are named by their 1-based index into "keys"
+            index = int.from_bytes(item_type, 'big')
+            name = keys[index - 1] if 0 < index <= len(keys) else MP4_ITEM_NAMES.get(item_type)
+            if name:
+                for value in read_item_values(data):
+                    assign_video_tag(metadata, name, value)
+
+    def read_boxes(start, end, parent=None):
+        offset = start
+        while True:
+            box = read_box_header(offset, end)
+            if box is None:
+                break
+            box_type, body_start, offset = box
+            if box_type in (b'moov', b'udta'):
+                read_boxes(body_start, offset, box_type)
+            elif box_type == b'meta':
+                read_meta(body_start, offset)
+            elif parent == b'udta' and box_type in MP4_ITEM_NAMES and offset - body_start > 4:
+                # QuickTime text: length (2), language (2), text
+                f.seek(body_start)
+                data = f.read(offset - body_start)
+                length = int.from_bytes(data[:2], 'big')
+                assign_video_tag(metadata, MP4_ITEM_NAMES[box_type], data[4:4 + length].decode('utf-8', errors='ignore'))
+
+    read_boxes(0, file_size)
+    return metadata
+
+
+EBML_MAGIC = b'\x1a\x45\xdf\xa3'
+MKV_SEGMENT, MKV_CLUSTER, MKV_TAGS, MKV_TAG, MKV_SIMPLE_TAG = 0x18538067, 0x1F43B675, 0x1254C367, 0x7373, 0x67C8
+MKV_TAG_NAME, MKV_TAG_STRING = 0x45A3, 0x4487
+
+
+def read_ebml_number(data, offset, keep_marker):
+    """An EBML variable-size integer at `offset`: (value, length); value is None for an unknown size"""
+    if offset >= len(data) or data[offset] == 0:
+        return None, 0
+    length = 9 - data[offset].bit_length()
+    if offset + length > len(data):
+        return None, 0
+    value = int.from_bytes(data[offset:offset + length], 'big')
+    if keep_marker:
+        return value, length
+    value &= (1 << (7 * length)) - 1
+    return (None if value == (1 << (7 * length)) - 1 else value), length
+
+
+def read_ebml_elements(data):
+    """(id, body) of each element in an in-memory EBML master element"""
+    offset = 0
+    while offset < len(data):
+        element_id, id_length = read_ebml_number(data, offset, True)
+        size, size_length = read_ebml_number(data, offset + id_length, False)
+        if not id_length or not size_length or size is None:
+            return
+        start = offset + id_length + size_length
+        yield element_id, data[start:start + size]
+        offset = start + size
+
+
+def read_matroska_metadata(f, file_size):
+    """SimpleTags of a Matroska/WebM file; ffmpeg stores tags with upper case names ("COMMENT", "PROMPT")"""
+    if f.read(4) != EBML_MAGIC:
+        return None
+    f.seek(0)
+
+    metadata = {}
+
+    def read_simple_tag(data):
+        name = value = None
+        for element_id, body in read_ebml_elements(data):
+            if element_id == MKV_TAG_NAME:
+                name = body.decode('utf-8', errors='ignore')
+            elif element_id == MKV_TAG_STRING:
+                value = body.decode('utf-8', errors='ignore')
+            elif element_id == MKV_SIMPLE_TAG:
+                read_simple_tag(body)
+        if name and value:
+            assign_video_tag(metadata, name, value)
+
+    # Walk the top level and the Segment, reading only the Tags elements
+    offset = 0
+    end = file_size
+    while offset < end:
+        f.seek(offset)
+        header = f.read(12)
+        element_id, id_length = read_ebml_number(header, 0, True)
+        size, size_length = read_ebml_number(header, id_length, False)
+        if not id_length or not size_length:
+            break
+        body_start = offset + id_length + size_length
+        if element_id == MKV_SEGMENT:
+            offset = body_start
+            if size is not None:
+                end = min(end, body_start + size)
+            continue
+        if size is None:
+            break  # A live-streamed Cluster: no tags we can reach without parsing the frames
+        if element_id == MKV_TAGS:
+            f.seek(body_start)
+            for tag_id, tag in read_ebml_elements(f.read(size)):
+                if tag_id == MKV_TAG:
+                    for simple_id, simple_tag in read_ebml_elements(tag):
+                        if simple_id == MKV_SIMPLE_TAG:
+                            read_simple_tag(simple_tag)
+        offset = body_start + size
+    return metadata
+
+
+def read_image_metadata(image_path):
+    """Metadata dict of a PNG/APNG, JPEG, WebP, MP4/MOV or Matroska/WebM file, or None for other formats"""
+    file_size = os.path.getsize(image_path)
+    with open(image_path, 'rb') as f:
+        magic = f.read(12)
+        f.seek(0)
+        if magic.startswith(PNG_SIGNATURE):
+            return read_png_metadata(f, file_size)
+        if magic.startswith(b'\xff\xd8'):
+            return read_jpeg_metadata(f, file_size)
+        if magic[:4] == b'RIFF' and magic[8:12] == b'WEBP':
+            return read_webp_metadata(f, file_size)
+        if magic[4:8] == b'ftyp':
+            return read_mp4_metadata(f, file_size)
+        if magic.startswith(EBML_MAGIC):
+            return read_matroska_metadata(f, file_size)
+    return None
@@ -0,0 +1,463 @@
+"""Find the prompts of image metadata the way the frontend does.
+
+Which nodes carry text, which sampler inputs hold the conditioning and which titles mark a prompt
+are declared once in web/js/node_rules.json, which web/js/metadata_core.js imports too, so the
+"Only Load Images With Metadata" filter keeps exactly the images the loader can read.
+tests/fixtures/node_rules holds the workflows both implementations are checked against.
+
+A text rule (one per group of class_types) is one of:
+    {"first": [...]}    the first source with text: an input name (links are followed, literal
+                        strings taken as they are) or {"widget": index} into widgets_values
+    {"join": [...], "separator": "\\n"} or {"join": [...], "separator_input": "delimiter"}
+                        the text of all the inputs, joined
+    {"text": ""}        a constant
+
+Images without an API prompt go through the same fallbacks as extractImageInfo: the UI workflow
+converted into an API prompt, then the A1111/Forge/Fooocus "parameters" text.
+"""
+from __future__ import annotations
+
+import os
+import re
+import json
+import hashlib
+
+RULES_PATH = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'web', 'js', 'node_rules.json')
+
+with open(RULES_PATH, 'rb') as f:
+    _rules_bytes = f.read()
+NODE_RULES = json.loads(_rules_bytes.decode('utf-8'))
+# Bump EXTRACTION_VERSION when the Python code below finds prompts differently; RULES_VERSION
+# follows node_rules.json by itself. Both invalidate the cache of which files carry prompts.
+EXTRACTION_VERSION = 1
+RULES_VERSION = '{}-{}'.format(EXTRACTION_VERSION, hashlib.sha1(_rules_bytes).hexdigest()[:12])
+
+TEXT_RULES = {class_type: rule for rule in NODE_RULES['text_nodes'] for class_type in rule['class_types']}
+PROMPT_INPUTS = NODE_RULES['prompt_inputs']
+UI_WIDGET_NAMES = NODE_RULES['ui_widget_names']
+SEED_CONTROL_VALUES = NODE_RULES['seed_control_values']
+
+# Integer keys, which JS objects iterate first and in ascending order
+_INDEX_KEY = re.compile(r'^(0|[1-9]\d{0,9})$')
+
+
+def node_ids(workflow):
+    """Node ids in the order JS iterates them (for ... in), so "last match wins" loops agree"""
+    index_keys = sorted((key for key in workflow if _INDEX_KEY.match(key) and int(key) < 2 ** 32 - 1), key=int)
+    index_set = set(index_keys)
+    return index_keys + [key for key in workflow if key not in index_set]
+
+
+def _inputs_of(node):
+    inputs = node.get('inputs') if isinstance(node, dict) else None
+    return inputs if isinstance(inputs, dict) else None
+
+
+def _is_link(value):
+    return isinstance(value, list) and len(value) > 0
+
+
+def apply_text_rule(rule, node, workflow, visited):
+    """Text of a node according to one of the rules above"""
+    inputs = _inputs_of(node) or {}
+
+    def resolve(value):
+        if _is_link(value):
+            return extract_text_from_node(value[0], workflow, visited)
+        return value if isinstance(value, str) else ''
+
+    def read(source):
+        if isinstance(source, str):
+            return resolve(inputs.get(source))
+        widgets_values = node.get('widgets_values')
+        index = source['widget']
+        value = widgets_values[index] if isinstance(widgets_values, list) and index < len(widgets_values) else None
+        return value if isinstance(value, str) else ''
+
+    if 'text' in rule:
+        return rule['text']
+    if 'join' in rule:
+        if 'separator_input' in rule:
+            separator = inputs.get(rule['separator_input'])
+            separator = separator if isinstance(separator, str) else ''
+        else:
+            separator = rule.get('separator', '')
+        return separator.join(text for text in (read(source) for source in rule['join']) if text)
+    for source in rule.get('first', []):
+        text = read(source)
+        if text:
+            return text
+    return ''
+
+
+def extract_text_from_node(node_id, workflow, visited=None):
+    """Text a node carries, following links (extractTextFromNode in JS)"""
+    if visited is None:
+        visited = set()
+    node_id = str(node_id)
+    if not node_id or node_id in visited:
+        return ''
+    visited.add(node_id)
+
+    node = workflow.get(node_id)
+    if not isinstance(node, dict) or _inputs_of(node) is None:
+        return ''
+    rule = TEXT_RULES.get(node.get('class_type'), NODE_RULES['default_text_rule'])
+    return apply_text_rule(rule, node, workflow, visited)
+
+
+def extract_conditioning_text(workflow, link, side):
+    """(node id, text) behind a sampler's conditioning input, staying on `side` through ControlNet and co."""
+    node_id = str(link[0])
+    visited = set()
+    while isinstance(workflow.get(node_id), dict) and node_id not in visited:
+        visited.add(node_id)
+        node_input = (_inputs_of(workflow[node_id]) or {}).get(side)
+        if not _is_link(node_input):
+            break
+        node_id = str(node_input[0])
+    return node_id, extract_text_from_node(node_id, workflow)
+
+
+def is_sampler_node(node):
+    """Conditioning links in, sampling parameters on it: KSampler, SamplerCustom(Advanced), detailers, ..."""
+    inputs = _inputs_of(node)
+    if inputs is None:
+        return False
+    has_conditioning = any(_is_link(inputs.get(name)) for name in PROMPT_INPUTS['positive'] + PROMPT_INPUTS['negative'])
+    return has_conditioning and any(name in inputs for name in NODE_RULES['sampling_inputs'])
+
+
+def find_sampler_node(workflow):
+    """The sampler that produced the saved image, walking back from the SaveImage node"""
+    output_node_ids = [node_id for node_id in node_ids(workflow)
+                       if _is_link((_inputs_of(workflow[node_id]) or {}).get('images'))
+                       and re.search('save', str(workflow[node_id].get('class_type') or ''), re.IGNORECASE)]
+
+    for output_node_id in output_node_ids:
+        queue = [output_node_id]
+        visited = set(queue)
+        while queue:
+            node_id = queue.pop(0)
+            node = workflow.get(node_id)
+            if node_id != output_node_id and is_sampler_node(node):
+                return node_id
+            for value in (_inputs_of(node) or {}).values():
+                if _is_link(value) and str(value[0]) not in visited:
+                    visited.add(str(value[0]))
+                    queue.append(str(value[0]))
+
+    # No SaveImage node (or not connected): take the first sampler in the graph
+    return next((node_id for node_id in node_ids(workflow) if is_sampler_node(workflow[node_id])), None)
+
+
+def extract_prompts(workflow):
+    """(positive, negative) found with the frontend's strategies (extractPromptsFromWorkflow in JS):
+    nodes titled as prompts, then the saved image's sampler, then loose text encoders"""
+    positive = negative = ''
+    if not isinstance(workflow, dict):
+        return positive, negative
+
+    titles = NODE_RULES['prompt_titles']
+    for node_id in node_ids(workflow):
+        meta = workflow[node_id].get('_meta') if isinstance(workflow[node_id], dict) else None
+        title = str((meta or {}).get('title') or '').lower()
+        if title in titles['positive']:
+            positive = extract_text_from_node(node_id, workflow) or positive
+        if title in titles['negative']:
+            negative = extract_text_from_node(node_id, workflow) or negative
+    if positive and negative:
+        return positive, negative
+
+    text_node_ids = {}
+    sampler_id = find_sampler_node(workflow)
+    if sampler_id is not None:
+        inputs = _inputs_of(workflow[sampler_id])
+        found = {'positive': positive, 'negative': negative}
+        for side in ('positive', 'negative'):
+            name = next((name for name in PROMPT_INPUTS[side] if _is_link(inputs.get(name))), None)
+            if name is None:
+                continue
+            text_node_ids[side], text = extract_conditioning_text(workflow, inputs[name], side)
+            if not found[side] and text:
+                found[side] = text
+        positive, negative = found['positive'], found['negative']
+
+    if not positive or not negative:
+        encoders = NODE_RULES['fallback_encoders']
+        for node_id in node_ids(workflow):
+            node = workflow[node_id]
+            text = (_inputs_of(node) or {}).get('text')
+            if not isinstance(text, str) or node.get('class_type') not in encoders['class_types']:
+                continue
+            title = str((node.get('_meta') or {}).get('title') or '').lower()
+            if any(marker in title for marker in encoders['negative_title_markers']):
+                if not negative:
+                    negative = text
+            elif not positive and node_id not in text_node_ids.values():
+                positive = text
+    return positive, negative
+
+
+def workflow_has_prompts(workflow):
+    """Whether the loader would show a positive or negative prompt for this API prompt"""
+    return any(text.strip() for text in extract_prompts(workflow))
+
+
+# --- UI WORKFLOW (LiteGraph format) ---
+
+# Fallbacks for node types missing from UI_WIDGET_NAMES: callables (class_type) -> widget names or None.
+# The ComfyUI package adds one reading the installed node classes, like the frontend does with its node definitions.
+_widget_name_resolvers = []
+
+
+def register_widget_name_resolver(resolver):
+    _widget_name_resolvers.append(resolver)
+
+
+def get_widget_names(class_type):
+    if class_type in UI_WIDGET_NAMES:
+        return UI_WIDGET_NAMES[class_type]
+    for resolver in _widget_name_resolvers:
+        names = resolver(class_type)
+        if names:
+            return names
+    return None
+
+
+def map_widget_values(node):
+    """A UI node's widgets_values by input name (mapWidgetValues in JS)"""
+    values = node.get('widgets_values')
+    if not values:
+        return {}
+    if not isinstance(values, list):
+        return dict(values) if isinstance(values, dict) else {}
+
+    mapped = {}
+    # rgthree Power Lora Loader stores one {on, lora, strength} object per LoRA, like its API inputs
+    lora_count = 0
+    for value in values:
+        if isinstance(value, dict) and 'lora' in value:
+            lora_count += 1
+            mapped['lora_{}'.format(lora_count)] = value
+
+    names = get_widget_names(node.get('type'))
+    if names:
+        for i, name in enumerate(names):
+            if i < len(values) and name not in ('control_after_generate', 'upload'):
+                mapped[name] = values[i]
+        return mapped
+
+    widget_inputs = [node_input for node_input in node.get('inputs') or []
+                     if isinstance(node_input.get('widget'), dict) and node_input['widget'].get('name')]
+    index = 0
+    for node_input in widget_inputs:
+        if index >= len(values):
+            break
+        name = node_input['widget']['name']
+        mapped[name] = values[index]
+        index += 1
+        # Skip the seed control value that follows seeds
+        if re.search('seed', name, re.IGNORECASE) and index < len(values) and values[index] in SEED_CONTROL_VALUES:
+            index += 1
+    return mapped
+
+
+def _find_bypass_input(node, slot):
+    """The input a bypassed node hands on to output `slot`: same slot if the type matches, else the first of that type"""
+    outputs = node.get('outputs') or []
+    node_inputs = node.get('inputs') or []
+    if not isinstance(slot, int) or not 0 <= slot < len(outputs) or not outputs[slot]:
+        return None
+    output_type = outputs[slot].get('type')
+    linked = [node_input for node_input in node_inputs if node_input.get('link') is not None]
+    same_slot = node_inputs[slot] if slot < len(node_inputs) else None
+    if same_slot and same_slot.get('type') == output_type and same_slot in linked:
+        return same_slot
+    return next((node_input for node_input in linked if node_input.get('type') == output_type), None)
+
+
+def convert_ui_workflow_to_prompt(workflow):
+    """API-style prompt rebuilt from a UI workflow (convertUIWorkflowToPrompt in JS), or None"""
+    if not isinstance(workflow, dict) or not isinstance(workflow.get('nodes'), list):
+        return None
+
+    nodes_by_id = {str(node.get('id')): node for node in workflow['nodes']}
+    # Links are [id, origin_id, origin_slot, target_id, target_slot, type] or objects with the same names
+    links = {}
+    for link in workflow.get('links') or []:
+        if isinstance(link, list):
+            link_id, origin_id, origin_slot = (link + [None] * 3)[:3]
+        else:
+            link_id, origin_id, origin_slot = link.get('id'), link.get('origin_id'), link.get('origin_slot')
+        links[link_id] = (str(origin_id), origin_slot)
+
+    # Where a link really comes from: through Reroute and bypassed nodes, and straight to the value of primitives
+    def resolve_link(link_id):
+        visited = set()
+        link = links.get(link_id)
+        while link and link[0] not in visited:
+            visited.add(link[0])
+            origin = nodes_by_id.get(link[0])
+            if not origin:
+                return None
+            if origin.get('type') == 'Reroute':
+                origin_inputs = origin.get('inputs') or []
+                link = links.get(origin_inputs[0].get('link')) if origin_inputs else None
+                continue
+            if origin.get('mode') == 4:
+                node_input = _find_bypass_input(origin, link[1])
+                link = links.get(node_input.get('link')) if node_input else None
+                continue
+            if origin.get('type') == 'PrimitiveNode':
+                widgets_values = origin.get('widgets_values')
+                return widgets_values[0] if isinstance(widgets_values, list) and widgets_values else None
+            return [link[0], link[1]]
+        return None
+
+    prompt = {}
+    for node in workflow['nodes']:
+        # Muted (2) and bypassed (4) nodes never ran; reroutes, bypasses and primitives are resolved into the links above
+        if node.get('mode') in (2, 4) or node.get('type') in ('Reroute', 'PrimitiveNode'):
+            continue
+
+        inputs = map_widget_values(node)
+        for node_input in node.get('inputs') or []:
+            if node_input.get('link') is None:
+                continue
+            value = resolve_link(node_input['link'])
+            if value is not None:
+                widget = node_input.get('widget')
+                inputs[widget['name'] if isinstance(widget, dict) and widget.get('name') else node_input.get('name')] = value
+        prompt[str(node.get('id'))] = {'class_type': node.get('type'), 'inputs': inputs,
+                                       '_meta': {'title': node.get('title') or node.get('type')}}
+    return prompt
+
+
+# --- A1111 / FORGE / FOOOCUS "parameters" ---
+
+_A1111_PARAM_PATTERN = re.compile(r'\s*([\w][\w \-/]*?):\s*("(?:\\.|[^\\"])*"|[^,]*)(?:,|$)', re.ASCII)
+_FOOOCUS_PROMPT_KEYS = ('prompt', 'Prompt', 'full_prompt', 'negative_prompt', 'Negative Prompt', 'full_negative_prompt')
+
+
+def clean_json_string(text):
+    """JSON with the NaN values some nodes write replaced by null (cleanJSONString in JS)"""
+    text = re.sub(r':\s*NaN', ': null', text)
+    text = re.sub(r'\[\s*NaN\s*\]', '[null]', text)
+    text = re.sub(r',\s*NaN\s*,', ', null,', text)
+    return re.sub(r',\s*NaN\s*\]', ', null]', text)
+
+
+def _parse_settings_line(line):
+    """(key, value) pairs of an A1111 settings line, or None when the line is prompt text"""
+    if not line or line.startswith('Negative prompt:'):
+        return None
+    matches = [match for match in _A1111_PARAM_PATTERN.finditer(line) if match.group(0)]
+    if not re.match(r'Steps:\s*\d', line, re.ASCII):
+        # Weighted prompts like "(best quality:1.2), ..." contain "word:" pairs too
+        end = 0
+        for match in matches:
+            if match.start() != end:
+                return None
+            end = match.end()
+        if len(matches) < 3 or end != len(line):
+            return None
+
+    pairs = []
+    for match in matches:
+        value = match.group(2).strip()
+        if value.startswith('"') and value.endswith('"'):
+            try:
+                value = json.loads(value)
+            except ValueError:
+                value = value[1:-1]
+        pairs.append((match.group(1).strip(), value))
+    return pairs
+
+
+def parse_a1111_parameters(text):
+    """{"positive", "negative", "settings"} of a "parameters" chunk (parseA1111Parameters in JS)"""
+    result = {'positive': '', 'negative': '', 'settings': {}}
+    if not text or not isinstance(text, str):
+        return result
+
+    # Fooocus (and a few forks) store a JSON object instead of the plain-text format
+    trimmed = text.strip()
+    if trimmed.startswith('{'):
+        try:
+            data = json.loads(clean_json_string(trimmed))
+        except ValueError:
+            data = None
+        if isinstance(data, dict):
+            positive = next((data[key] for key in ('prompt', 'Prompt', 'full_prompt') if data.get(key) is not None), None)
+            negative = next((data[key] for key in ('negative_prompt', 'Negative Prompt', 'full_negative_prompt') if data.get(key) is not None), None)
+            if positive is not None or negative is not None:
+                as_text = lambda value: '\n'.join(str(item) for item in value) if isinstance(value, list) else str(value if value is not None else '')
+                result['positive'], result['negative'] = as_text(positive), as_text(negative)
+                result['settings'] = {key: value for key, value in data.items()
+                                      if key not in _FOOOCUS_PROMPT_KEYS and not isinstance(value, (dict, list))}
+                return result
+
+    lines = re.split(r'\r?\n', trimmed)
+
+    # The last line holds "Key: value" pairs; values may be quoted when they contain commas
+    pairs = _parse_settings_line(lines[-1])
+    if pairs is not None:
+        lines.pop()
+        result['settings'] = dict(pairs)
+
+    positive_lines, negative_lines = [], []
+    in_negative = False
+    for line in lines:
+        if not in_negative and line.startswith('Negative prompt:'):
+            in_negative = True
+            line = line[len('Negative prompt:'):].lstrip()
+        (negative_lines if in_negative else positive_lines).append(line)
+
+    result['positive'] = '\n'.join(positive_lines).strip()
+    result['negative'] = '\n'.join(negative_lines).strip()
+    return result
+
+
+# --- IMAGE METADATA ---
+
+def _parse_json_chunk(text):
+    try:
+        return json.loads(clean_json_string(text))
+    except (TypeError, ValueError):
+        return None
+
+
+def extract_prompts_from_metadata(metadata):
+    """(positive, negative) the loader shows for the text chunks of an image (extractImageInfo in JS):
+    the API prompt or else the converted UI workflow, the Display Any (rgthree) override, then "parameters" """
+    positive = negative = ''
+    if not metadata:
+        return positive, negative
+
+    prompt_data = _parse_json_chunk(metadata['prompt']) if metadata.get('prompt') else None
+    workflow = _parse_json_chunk(metadata['workflow']) if metadata.get('workflow') else None
+    if not prompt_data and not isinstance(prompt_data, (dict, list)) and workflow:
+        prompt_data = convert_ui_workflow_to_prompt(workflow)
+    if isinstance(prompt_data, dict):
+        positive, negative = extract_prompts(prompt_data)
+
+    if isinstance(workflow, dict) and isinstance(workflow.get('nodes'), list):
+        for node in workflow['nodes']:
+            widgets_values = node.get('widgets_values') if isinstance(node, dict) else None
+            if node.get('type') == 'Display Any (rgthree)' and isinstance(widgets_values, list) and widgets_values:
+                # Only a long text is likely the full prompt
+                if isinstance(widgets_values[0], str) and len(widgets_values[0]) > 100:
+                    positive = widgets_values[0]
+                    break
+
+    if metadata.get('parameters'):
+        parameters = parse_a1111_parameters(metadata['parameters'])
+        positive = positive or parameters['positive']
+        negative = negative or parameters['negative']
+    return positive, negative
+
+
+def metadata_has_prompts(metadata):
+    """Whether the loader would show a positive or negative prompt for these text chunks"""
+    return any(text.strip() for text in extract_prompts_from_metadata(metadata))
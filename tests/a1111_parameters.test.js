@@ -0,0 +1,17 @@
+// parseA1111Parameters against tests/fixtures/a1111_parameters.json.
+// tests/test_a1111_parameters.py runs the same cases through the Python parser.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { parseA1111Parameters } from "../web/js/metadata_core.js";
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "a1111_parameters.json");
+
+for (const fixture of JSON.parse(fs.readFileSync(FIXTURE, "utf8"))) {
+    test(fixture.description, () => {
+        assert.deepEqual(parseA1111Parameters(fixture.text), fixture.expected);
+    });
+}
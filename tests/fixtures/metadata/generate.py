@@ -0,0 +1,255 @@
+"""Write the binary fixtures of tests/fixtures/metadata and expected.json, which lists what the readers
+should find in each file. Only the metadata is real: the pixel data is a placeholder the readers skip.
+
+Run with: python tests/fixtures/metadata/generate.py
+"""
+import os
+import json
+import struct
+import zlib
+
+HERE = os.path.dirname(os.path.abspath(__file__))
+
+PROMPT = '{"1": {"class_type": "CLIPTextEncode", "inputs": {"text": "a red fox, <lora:fox_style:0.8>"}}}'
+WORKFLOW = '{"nodes": [], "links": []}'
+PARAMETERS = ('a red fox in the snow, <lora:fox_style:0.8>\n'
+              'Negative prompt: blurry, lowres\n'
+              'Steps: 20, Sampler: Euler a, CFG scale: 7, Seed: 1234, Size: 512x768')
+
+FIXTURES = []
+
+
+def fixture(filename, description, content, metadata):
+    with open(os.path.join(HERE, filename), 'wb') as f:
+        f.write(content)
+    FIXTURES.append({'file': filename, 'description': description, 'metadata': metadata})
+
+
+# --- EXIF ---
+
+def tiff(endian, ifd0, exif_ifd=None):
+    """A TIFF block with ASCII/UNDEFINED entries in IFD0 and, optionally, an Exif sub-IFD"""
+    def ifd(entries, offset, next_entries=0):
+        # Entries, then the values that don't fit in 4 bytes
+        count = len(entries) + next_entries
+        values_offset = offset + 2 + count * 12 + 4
+        head, values = struct.pack(endian + 'H', count), b''
+        for tag, value_type, value in entries:
+            if len(value) > 4:
+                head += struct.pack(endian + 'HHII', tag, value_type, len(value), values_offset + len(values))
+                values += value + b'\0' * (len(value) % 2)
+            else:
+                head += struct.pack(endian + 'HHI', tag, value_type, len(value)) + value.ljust(4, b'\0')
+        return head, values
+
+    byte_order = b'II' if endian == '<' else b'MM'
+    head, values = ifd(ifd0, 8, 1 if exif_ifd else 0)
+    if not exif_ifd:
+        return byte_order + struct.pack(endian + 'HI', 42, 8) + head + b'\0' * 4 + values
+    exif_offset = 8 + len(head) + 12 + 4 + len(values)
+    head += struct.pack(endian + 'HHII', 0x8769, 4, 1, exif_offset)
+    exif_head, exif_values = ifd(exif_ifd, exif_offset)
+    return byte_order + struct.pack(endian + 'HI', 42, 8) + head + b'\0' * 4 + values + exif_head + b'\0' * 4 + exif_values
+
+
+def ascii_entry(tag, text):
+    return tag, 2, text.encode('utf-8') + b'\0'
+
+
+def user_comment(text, encoding):
+    return 0x9286, 7, b'UNICODE\0' + text.encode(encoding)
+
+
+def xmp_packet(description):
+    return ('<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+            '{}</rdf:RDF></x:xmpmeta><?xpacket end="w"?>').format(description).encode('utf-8')
+
+
+def escape_xml(text):
+    return text.replace('&', '&amp;').replace('<', '&lt;').replace('>', '&gt;').replace('"', '&quot;')
+
+
+# --- PNG ---
+
+def png_chunk(chunk_type, data):
+    return struct.pack('>I', len(data)) + chunk_type + data + struct.pack('>I', zlib.crc32(chunk_type + data))
+
+
+def png(*chunks, after_image=()):
+    header = png_chunk(b'IHDR', struct.pack('>IIBBBBB', 1, 1, 8, 2, 0, 0, 0))
+    image = png_chunk(b'IDAT', zlib.compress(b'\0\0\0\0'))
+    return (b'\x89PNG\r\n\x1a\n' + header + b''.join(png_chunk(*chunk) for chunk in chunks) + image +
+            b''.join(png_chunk(*chunk) for chunk in after_image) + png_chunk(b'IEND', b''))
+
+
+def itxt(keyword, text, compressed=False, language=b'', translated=''):
+    data = zlib.compress(text.encode('utf-8')) if compressed else text.encode('utf-8')
+    return b'iTXt', keyword + b'\0' + (b'\1' if compressed else b'\0') + b'\0' + language + b'\0' + translated.encode('utf-8') + b'\0' + data
+
+
+fixture('png_text.png', 'tEXt chunks before and after the image data',
+        png((b'tEXt', b'prompt\0' + PROMPT.encode('latin-1')), after_image=[(b'tEXt', b'workflow\0' + WORKFLOW.encode('latin-1'))]),
+        {'prompt': PROMPT, 'workflow': WORKFLOW})
+fixture('png_text_latin1.png', 'tEXt in Latin-1 as the spec says, and one in UTF-8 as many tools write it',
+        png((b'tEXt', b'parameters\0' + 'caf\u00e9, cr\u00e8me'.encode('latin-1')), (b'tEXt', b'Comment\0' + '\u72d0\u72f8'.encode('utf-8'))),
+        {'parameters': 'caf\u00e9, cr\u00e8me', 'Comment': '\u72d0\u72f8'})
+fixture('png_ztxt.png', 'zTXt chunk (always zlib-compressed)',
+        png((b'zTXt', b'parameters\0\0' + zlib.compress(PARAMETERS.encode('latin-1')))),
+        {'parameters': PARAMETERS})
+fixture('png_itxt.png', 'Uncompressed iTXt with a language tag and translated keyword, UTF-8 text',
+        png(itxt(b'parameters', PARAMETERS.replace('fox', '\u72d0'), language=b'ja', translated='\u30d1\u30e9\u30e1\u30fc\u30bf')),
+        {'parameters': PARAMETERS.replace('fox', '\u72d0')})
+fixture('png_itxt_compressed.png', 'Compressed iTXt holding the prompt and workflow',
+        png(itxt(b'prompt', PROMPT, compressed=True), itxt(b'workflow', WORKFLOW, compressed=True)),
+        {'prompt': PROMPT, 'workflow': WORKFLOW})
+fixture('png_bad_chunks.png', 'Undecodable chunks are skipped: unknown zTXt method, corrupt zlib data, empty keyword',
+        png((b'zTXt', b'prompt\0\1' + zlib.compress(b'x')), (b'iTXt', b'workflow\0\1\0\0\0not zlib'),
+            (b'tEXt', b'\0nameless'), (b'tEXt', b'parameters\0' + PARAMETERS.encode('latin-1'))),
+        {'parameters': PARAMETERS})
+# libpng-style image data: many IDAT chunks, 8 KB each; the server reader must not walk them
+LARGE_IMAGE = [(b'IDAT', b'\0' * 8192)] * 40
+fixture('png_large_image.png', 'Workflow written after 320 KB of image data, found without walking the IDAT chunks',
+        png((b'tEXt', b'prompt\0' + PROMPT.encode('latin-1')), after_image=LARGE_IMAGE + [(b'tEXt', b'workflow\0' + WORKFLOW.encode('latin-1'))]),
+        {'prompt': PROMPT, 'workflow': WORKFLOW})
+fixture('png_truncated.png', 'File cut off inside a chunk: the chunks before it are still read',
+        png((b'tEXt', b'prompt\0' + PROMPT.encode('latin-1')), (b'tEXt', b'workflow\0' + WORKFLOW.encode('latin-1')))[:-60],
+        {'prompt': PROMPT})
+
+
+# --- JPEG ---
+
+def jpeg(*segments):
+    def segment(marker, data):
+        return bytes([0xFF, marker]) + struct.pack('>H', len(data) + 2) + data
+    scan = segment(0xDA, b'\x01\x01\x00\x00\x3f\x00') + b'\x00' * 16
+    return b'\xff\xd8' + segment(0xE0, b'JFIF\0\x01\x01\0\0\x01\0\x01\0\0') + b''.join(segment(m, d) for m, d in segments) + scan + b'\xff\xd9'
+
+
+fixture('jpeg_exif_comfyui.jpg', 'ComfyUI JPEG saver: workflow in Make, prompt in Model (big-endian TIFF)',
+        jpeg((0xE1, b'Exif\0\0' + tiff('>', [ascii_entry(0x010f, 'workflow:' + WORKFLOW), ascii_entry(0x0110, 'prompt:' + PROMPT)]))),
+        {'workflow': WORKFLOW, 'prompt': PROMPT})
+fixture('jpeg_exif_user_comment.jpg', 'A1111 JPEG: UTF-16BE UserComment in the Exif sub-IFD of a little-endian TIFF',
+        jpeg((0xE1, b'Exif\0\0' + tiff('<', [ascii_entry(0x0110, 'Camera')], [user_comment(PARAMETERS, 'utf-16-be')]))),
+        {'parameters': PARAMETERS})
+fixture('jpeg_exif_user_comment_le.jpg', 'UTF-16LE UserComment, told apart by its zero bytes',
+        jpeg((0xE1, b'Exif\0\0' + tiff('<', [], [user_comment(PARAMETERS, 'utf-16-le')]))),
+        {'parameters': PARAMETERS})
+fixture('jpeg_xmp.jpg', 'XMP with the parameters in an exif:UserComment language alternative',
+        jpeg((0xE1, b'http://ns.adobe.com/xap/1.0/\0' + xmp_packet(
+            '<rdf:Description xmlns:exif="http://ns.adobe.com/exif/1.0/"><exif:UserComment><rdf:Alt>'
+            '<rdf:li xml:lang="x-default">{}</rdf:li></rdf:Alt></exif:UserComment></rdf:Description>'.format(escape_xml(PARAMETERS))))),
+        {'parameters': PARAMETERS})
+fixture('jpeg_com.jpg', 'COM segment holding a {"prompt", "workflow"} wrapper object',
+        jpeg((0xFE, json.dumps({'prompt': PROMPT, 'workflow': WORKFLOW}).encode('utf-8'))),
+        {'prompt': PROMPT, 'workflow': WORKFLOW})
+fixture('jpeg_no_metadata.jpg', 'JPEG without metadata segments', jpeg(), {})
+
+
+# --- WebP ---
+
+def webp(*chunks):
+    body = b'WEBP' + struct.pack('<4sI', b'VP8X', 10) + b'\x0c' + b'\0' * 9
+    for chunk_type, data in chunks:
+        body += struct.pack('<4sI', chunk_type, len(data)) + data + b'\0' * (len(data) % 2)
+    body += struct.pack('<4sI', b'VP8L', 6) + b'\x2f\0\0\0\0\0'
+    return b'RIFF' + struct.pack('<I', len(body)) + body
+
+
+fixture('webp_exif_comfyui.webp', 'ComfyUI WebP saver: EXIF chunk without the "Exif" prefix, prompt in Model',
+        webp((b'EXIF', tiff('<', [ascii_entry(0x010f, 'workflow:' + WORKFLOW), ascii_entry(0x0110, 'prompt:' + PROMPT)]))),
+        {'workflow': WORKFLOW, 'prompt': PROMPT})
+fixture('webp_xmp.webp', 'XMP chunk with the prompt as an escaped attribute, after an EXIF chunk without prompts',
+        webp((b'EXIF', tiff('>', [ascii_entry(0x010e, 'x')])),
+             (b'XMP ', xmp_packet('<rdf:Description xmlns:comfy="https://comfy.org/ns/1.0/" comfy:prompt="{}"/>'.format(escape_xml(PROMPT))))),
+        {'prompt': PROMPT})
+
+# --- APNG ---
+
+fixture('apng_comf.png', 'ComfyUI SaveAnimatedPNG: "comf" chunks after the frames',
+        png((b'acTL', struct.pack('>II', 2, 0)), (b'fcTL', b'\0' * 26),
+            after_image=[(b'fcTL', b'\0' * 26), (b'fdAT', b'\0\0\0\2' + zlib.compress(b'\0\0\0\0')),
+                         (b'comf', b'prompt\0' + PROMPT.encode('latin-1')), (b'comf', b'workflow\0' + WORKFLOW.encode('latin-1'))]),
+        {'prompt': PROMPT, 'workflow': WORKFLOW})
+
+
+# --- MP4 / MOV ---
+
+def box(box_type, data):
+    return struct.pack('>I', len(data) + 8) + box_type + data
+
+
+def handler(handler_type):
+    return box(b'hdlr', b'\0' * 8 + handler_type + b'\0' * 13)
+
+
+def item_data(text):
+    return box(b'data', struct.pack('>II', 1, 0) + text.encode('utf-8'))
+
+
+# VideoHelperSuite puts the prompt and workflow in one JSON comment
+VHS_COMMENT = json.dumps({'prompt': PROMPT, 'workflow': WORKFLOW})
+MP4_HEADER = box(b'ftyp', b'isom\0\0\2\0isomiso2mp41')
+MP4_FRAMES = box(b'mdat', b'\0' * 64)
+
+fixture('mp4_vhs_comment.mp4', 'VideoHelperSuite MP4: JSON comment in an iTunes-style \xa9cmt item of moov/udta/meta/ilst',
+        MP4_HEADER + MP4_FRAMES + box(b'moov', box(b'mvhd', b'\0' * 100) + box(b'udta', box(
+            b'meta', b'\0' * 4 + handler(b'mdir') + box(b'ilst', box(b'\xa9cmt', item_data(VHS_COMMENT)))))),
+        {'prompt': PROMPT, 'workflow': WORKFLOW})
+fixture('mp4_mdta_keys.mp4', 'ComfyUI SaveVideo MP4: "mdta" keys named prompt and workflow, items referring to them by index',
+        MP4_HEADER + box(b'moov', box(b'mvhd', b'\0' * 100) + box(b'meta', b'\0' * 4 + handler(b'mdta') + box(
+            b'keys', struct.pack('>II', 0, 2) + box(b'mdta', b'prompt') + box(b'mdta', b'workflow')) + box(
+            b'ilst', box(struct.pack('>I', 1), item_data(PROMPT)) + box(struct.pack('>I', 2), item_data(WORKFLOW))))) + MP4_FRAMES,
+        {'prompt': PROMPT, 'workflow': WORKFLOW})
+fixture('mov_udta_text.mov', 'QuickTime MOV: \xa9cmt user data text (length, language, text) and a QuickTime meta without version/flags',
+        box(b'ftyp', b'qt  \0\0\0\0qt  ') + box(b'moov', box(b'udta', box(
+            b'\xa9cmt', struct.pack('>HH', len(PARAMETERS.encode('utf-8')), 0) + PARAMETERS.encode('utf-8'))) + box(
+            b'meta', handler(b'mdta') + box(b'keys', struct.pack('>II', 0, 1) + box(b'mdta', b'com.apple.quicktime.workflow')) + box(
+                b'ilst', box(struct.pack('>I', 1), item_data(WORKFLOW))))) + MP4_FRAMES,
+        {'parameters': PARAMETERS, 'workflow': WORKFLOW})
+fixture('mp4_large_mdat.mp4', '64-bit box size on the mdat before moov',
+        MP4_HEADER + struct.pack('>I4sQ', 1, b'mdat', 16 + 64) + b'\0' * 64 + box(b'moov', box(b'udta', box(
+            b'meta', b'\0' * 4 + handler(b'mdir') + box(b'ilst', box(b'desc', item_data(PARAMETERS)))))),
+        {'parameters': PARAMETERS})
+
+
+# --- Matroska / WebM ---
+
+def ebml_size(size):
+    length = next(length for length in range(1, 9) if size < (1 << (7 * length)) - 1)
+    return ((1 << (7 * length)) | size).to_bytes(length, 'big')
+
+
+def element(element_id, data):
+    return element_id.to_bytes((element_id.bit_length() + 7) // 8, 'big') + ebml_size(len(data)) + data
+
+
+def simple_tag(name, value):
+    return element(0x67C8, element(0x45A3, name.encode('utf-8')) + element(0x4487, value.encode('utf-8')))
+
+
+def tags(*simple_tags):
+    return element(0x1254C367, element(0x7373, element(0x63C0, b'') + b''.join(simple_tags)))
+
+
+EBML_HEADER = element(0x1A45DFA3, element(0x4282, b'webm'))
+SEGMENT_INFO = element(0x1549A966, element(0x2AD7B1, b'\x0f\x42\x40'))
+CLUSTER = element(0x1F43B675, element(0xE7, b'\0') + element(0xA3, b'\x81\0\0\x80' + b'\0' * 32))
+
+fixture('webm_vhs_comment.webm', 'VideoHelperSuite WebM: JSON COMMENT SimpleTag next to ENCODER, before the clusters',
+        EBML_HEADER + element(0x18538067, SEGMENT_INFO + tags(simple_tag('ENCODER', 'Lavf60.3.100'), simple_tag('COMMENT', VHS_COMMENT)) + CLUSTER),
+        {'prompt': PROMPT, 'workflow': WORKFLOW})
+fixture('mkv_unknown_size.mkv', 'Segment of unknown size with PROMPT/WORKFLOW tags; a live Cluster of unknown size ends the walk',
+        EBML_HEADER + (0x18538067).to_bytes(4, 'big') + b'\x01\xff\xff\xff\xff\xff\xff\xff' + SEGMENT_INFO +
+        tags(simple_tag('PROMPT', PROMPT), simple_tag('WORKFLOW', WORKFLOW)) + (0x1F43B675).to_bytes(4, 'big') + b'\xff' + b'\0' * 32 +
+        tags(simple_tag('DESCRIPTION', PARAMETERS)),
+        {'prompt': PROMPT, 'workflow': WORKFLOW})
+fixture('mkv_tags_at_end.mkv', 'Tags after the clusters, with the text in a nested SimpleTag',
+        EBML_HEADER + element(0x18538067, SEGMENT_INFO + CLUSTER + element(0x1254C367, element(0x7373, element(
+            0x67C8, element(0x45A3, b'TITLE') + element(0x4487, b'render') + simple_tag('DESCRIPTION', PARAMETERS))))),
+        {'parameters': PARAMETERS})
+
+
+with open(os.path.join(HERE, 'expected.json'), 'w', encoding='utf-8', newline='\n') as f:
+    json.dump(FIXTURES, f, indent=2, ensure_ascii=False)
+    f.write('\n')
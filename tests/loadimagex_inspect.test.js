@@ -0,0 +1,91 @@
+// bin/loadimagex-inspect.js on a folder of files from tests/fixtures/metadata: output formats and exit codes.
+// Run with: npm test
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const TESTS = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(TESTS, "fixtures", "metadata");
+const CLI = path.join(TESTS, "..", "bin", "loadimagex-inspect.js");
+
+let directory;
+
+function copyFixture(filename, target = filename) {
+    fs.mkdirSync(path.dirname(path.join(directory, target)), { recursive: true });
+    fs.copyFileSync(path.join(FIXTURES, filename), path.join(directory, target));
+}
+
+function inspect(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "loadimagex-inspect-"));
+    copyFixture("png_text.png");
+    copyFixture("jpeg_exif_user_comment.jpg", "sub/a1111.jpg");
+    fs.writeFileSync(path.join(directory, "notes.txt"), "not an image");
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("prints the prompts and settings of every image as JSON, sorted with subfolder paths", () => {
+    const { status, stdout, stderr } = inspect(directory);
+    assert.equal(status, 0, stderr);
+    assert.deepEqual(JSON.parse(stdout), [
+        { filename: "png_text.png", positive: "a red fox, <lora:fox_style:0.8>", negative: "", settings: {} },
+        {
+            filename: "sub/a1111.jpg",
+            positive: "a red fox in the snow, <lora:fox_style:0.8>",
+            negative: "blurry, lowres",
+            settings: { seed: 1234, steps: 20, cfg: 7, sampler_name: "euler_ancestral", width: 512, height: 768 }
+        }
+    ]);
+});
+
+test("--format csv writes one column per setting found, quoting fields with commas", () => {
+    const { status, stdout, stderr } = inspect("--format=csv", directory);
+    assert.equal(status, 0, stderr);
+    assert.equal(stdout, [
+        "filename,positive,negative,seed,steps,cfg,sampler_name,width,height",
+        'png_text.png,"a red fox, <lora:fox_style:0.8>",,,,,,,',
+        'sub/a1111.jpg,"a red fox in the snow, <lora:fox_style:0.8>","blurry, lowres",1234,20,7,euler_ancestral,512,768',
+        ""
+    ].join("\r\n"));
+});
+
+test("exits with 1 and names the images without a prompt or that can't be read", () => {
+    copyFixture("jpeg_no_metadata.jpg");
+    fs.writeFileSync(path.join(directory, "sub", "broken.webp"), "not a WebP file");
+    try {
+        const { status, stdout, stderr } = inspect(directory, "--format", "csv");
+        assert.equal(status, 1);
+        assert.equal(stdout.split("\r\n").length, 6);
+        assert.match(stderr, /No prompt found: jpeg_no_metadata\.jpg/);
+        assert.match(stderr, /No prompt found: sub\/broken\.webp/);
+    } finally {
+        fs.rmSync(path.join(directory, "jpeg_no_metadata.jpg"));
+        fs.rmSync(path.join(directory, "sub", "broken.webp"));
+    }
+});
+
+test("exits with 2 on usage errors and unreadable folders", () => {
+    for (const args of [[], ["--format", "xml", directory], [directory, "other"], ["--verbose", directory], [path.join(directory, "missing")]]) {
+        const { status, stdout, stderr } = inspect(...args);
+        assert.equal(status, 2, `arguments: ${args.join(" ")}`);
+        assert.equal(stdout, "");
+        assert.notEqual(stderr, "");
+    }
+});
+
+test("--help prints the usage and exits with 0", () => {
+    const { status, stdout } = inspect("--help");
+    assert.equal(status, 0);
+    assert.match(stdout, /^Usage: loadimagex-inspect <directory>/);
+});
@@ -0,0 +1,20 @@
+// The frontend's readers against the files in tests/fixtures/metadata (see expected.json).
+// tests/test_metadata_reader.py reads the same files with metadata_reader.py.
+// Regenerate the files with: python tests/fixtures/metadata/generate.py
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { parseImageMetadata } from "../web/js/metadata_core.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "metadata");
+
+for (const fixture of JSON.parse(fs.readFileSync(path.join(FIXTURES, "expected.json"), "utf8"))) {
+    test(`${fixture.file}: ${fixture.description}`, async () => {
+        const buffer = fs.readFileSync(path.join(FIXTURES, fixture.file));
+        const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        assert.deepEqual(await parseImageMetadata(arrayBuffer), fixture.metadata);
+    });
+}
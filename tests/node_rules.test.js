@@ -0,0 +1,27 @@
+// The frontend side of the shared node rules, checked against tests/fixtures/node_rules.
+// tests/test_node_rules.py runs the same fixtures through the Python filter.
+// Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { extractPromptsFromWorkflow, extractImageInfo } from "../web/js/metadata_core.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "node_rules");
+
+// Fixtures give either an API prompt or the text chunks of an image; JSON chunks are stored parsed
+function chunksOf(metadata) {
+    return Object.fromEntries(Object.entries(metadata).map(([key, value]) => [key, typeof value === "string" ? value : JSON.stringify(value)]));
+}
+
+for (const filename of fs.readdirSync(FIXTURES).filter(name => name.endsWith(".json")).sort()) {
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, filename), "utf8"));
+
+    test(`${filename}: ${fixture.description}`, () => {
+        const prompts = fixture.metadata ? extractImageInfo(chunksOf(fixture.metadata)) : extractPromptsFromWorkflow(fixture.prompt);
+        assert.equal(prompts.positive, fixture.expected.positive);
+        assert.equal(prompts.negative, fixture.expected.negative);
+    });
+}
@@ -0,0 +1,39 @@
+// The node reported as the source of each prompt, on workflows from tests/fixtures/node_rules.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { extractPromptsFromWorkflow } from "../web/js/metadata_core.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "node_rules");
+
+function sourcesOf(filename) {
+    const { prompt } = JSON.parse(fs.readFileSync(path.join(FIXTURES, filename), "utf8"));
+    const { sources } = extractPromptsFromWorkflow(prompt);
+    const ids = (side) => ({
+        nodeId: sources[side].nodeId,
+        suppliers: sources[side].suppliers.map(node => node.nodeId),
+        path: sources[side].path.map(node => node.nodeId)
+    });
+    return { positive: ids("positive"), negative: ids("negative") };
+}
+
+test("the encoder itself, not the last node visited", () => {
+    assert.deepEqual(sourcesOf("controlnet_sides.json").negative, { nodeId: "7", suppliers: ["7"], path: ["3", "20", "7"] });
+});
+
+test("ConditioningCombine: the first branch's encoder, with both listed as suppliers", () => {
+    assert.deepEqual(sourcesOf("conditioning_combine.json").positive, { nodeId: "6", suppliers: ["6", "11"], path: ["3", "10", "6", "11"] });
+});
+
+test("Text Concatenate: the text nodes, not the concatenation", () => {
+    const { positive } = sourcesOf("text_concatenate.json");
+    assert.equal(positive.nodeId, "31");
+    assert.deepEqual(positive.suppliers, ["31", "32"]);
+});
+
+test("title match", () => {
+    assert.equal(sourcesOf("title_match.json").positive.nodeId, "60");
+});
@@ -0,0 +1,26 @@
+"""parse_a1111_parameters against tests/fixtures/a1111_parameters.json.
+
+tests/a1111_parameters.test.js runs the same cases through the frontend's parser.
+"""
+import os
+import sys
+import json
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from node_rules import parse_a1111_parameters  # noqa: E402
+
+
+class A1111ParametersTest(unittest.TestCase):
+    def test_fixtures(self):
+        with open(os.path.join(ROOT, 'tests', 'fixtures', 'a1111_parameters.json'), 'r', encoding='utf-8') as f:
+            fixtures = json.load(f)
+        for fixture in fixtures:
+            with self.subTest(fixture=fixture['description']):
+                self.assertEqual(parse_a1111_parameters(fixture['text']), fixture['expected'])
+
+
+if __name__ == '__main__':
+    unittest.main()
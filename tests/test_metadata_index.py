@@ -0,0 +1,84 @@
+"""MetadataIndex: caching by mtime and size, incremental changes and rebuilds on a new version."""
+import os
+import sys
+import json
+import tempfile
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from metadata_index import MetadataIndex  # noqa: E402
+
+
+class MetadataIndexTest(unittest.TestCase):
+    def setUp(self):
+        self._tmp = tempfile.TemporaryDirectory()
+        self.directory = os.path.join(self._tmp.name, 'images')
+        self.index_path = os.path.join(self._tmp.name, 'index', 'metadata_index.json')
+        os.makedirs(os.path.join(self.directory, 'sub'))
+        self.write('a.png', b'prompt')
+        self.write('sub/b.png', b'nothing')
+        self.checked = []
+
+    def tearDown(self):
+        self._tmp.cleanup()
+
+    def write(self, filename, content):
+        with open(os.path.join(self.directory, filename), 'wb') as f:
+            f.write(content)
+
+    def has_prompts(self, path):
+        self.checked.append(os.path.relpath(path, self.directory).replace(os.sep, '/'))
+        with open(path, 'rb') as f:
+            return f.read().startswith(b'prompt')
+
+    def index(self, version='1'):
+        return MetadataIndex(self.index_path, self.has_prompts, version)
+
+    def test_scan_checks_each_file_once(self):
+        index = self.index()
+        self.assertEqual(index.scan(self.directory, ['a.png', 'sub/b.png', 'missing.png']), {'a.png': True, 'sub/b.png': False})
+        index.scan(self.directory, ['a.png', 'sub/b.png'])
+        self.index().scan(self.directory, ['a.png', 'sub/b.png'])  # Reloaded from disk
+        self.assertEqual(sorted(self.checked), ['a.png', 'sub/b.png'])
+
+    def test_changed_file_is_checked_again(self):
+        index = self.index()
+        index.scan(self.directory, ['sub/b.png'])
+        self.write('sub/b.png', b'prompt, longer now')
+        self.assertEqual(index.scan(self.directory, ['sub/b.png']), {'sub/b.png': True})
+        self.assertEqual(self.checked, ['sub/b.png', 'sub/b.png'])
+
+    def test_changes_since(self):
+        index = self.index()
+        index.scan(self.directory, ['a.png', 'sub/b.png'])
+        first = index.changes_since(self.directory, 0)
+        self.assertTrue(first['full'])
+        self.assertEqual(first['changed'], {'a.png': True, 'sub/b.png': False})
+
+        os.remove(os.path.join(self.directory, 'a.png'))
+        self.write('sub/b.png', b'prompt, longer now')
+        index.scan(self.directory, ['sub/b.png'])
+        changes = index.changes_since(self.directory, first['seq'])
+        self.assertEqual((changes['full'], changes['changed'], changes['removed']), (False, {'sub/b.png': True}, ['a.png']))
+
+        # A client that is ahead talked to an older index
+        self.assertTrue(index.changes_since(self.directory, changes['seq'] + 10)['full'])
+
+    def test_new_version_rebuilds(self):
+        index = self.index('1')
+        index.scan(self.directory, ['a.png', 'sub/b.png'])
+        seq = index.changes_since(self.directory, 0)['seq']
+
+        rebuilt = self.index('2')
+        rebuilt.scan(self.directory, ['a.png', 'sub/b.png'])
+        self.assertEqual(sorted(self.checked), ['a.png', 'a.png', 'sub/b.png', 'sub/b.png'])
+        # The sequence goes on, so clients get the new verdicts as changes
+        self.assertEqual(rebuilt.changes_since(self.directory, seq)['changed'], {'a.png': True, 'sub/b.png': False})
+        with open(self.index_path, 'r', encoding='utf-8') as f:
+            self.assertEqual(json.load(f)['version'], '2')
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,61 @@
+"""scrub_metadata: chunk modes, path redaction and LoRA name redaction."""
+import os
+import sys
+import json
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from metadata_privacy import REDACTED, find_lora_names, scrub_metadata  # noqa: E402
+
+PROMPT = {
+    "1": {"class_type": "CheckpointLoaderSimple", "inputs": {"ckpt_name": "sdxl/juggernaut.safetensors"}},
+    "2": {"class_type": "LoraLoader", "inputs": {"lora_name": "styles/ink.safetensors", "strength_model": 0.8, "model": ["1", 0]}},
+    "3": {"class_type": "LoraLoader", "inputs": {"lora_name": "add.safetensors", "strength_model": 0.5, "model": ["2", 0]}},
+    "4": {"class_type": "CLIPTextEncode", "inputs": {"text": "add ink splashes to a drawing, <lora:add:0.5>", "clip": ["1", 1]}},
+    "5": {"class_type": "LoadImage", "inputs": {"image": "C:\\Users\\me\\Pictures\\ref.png"}},
+}
+WORKFLOW = {"nodes": [{"id": 2, "type": "LoraLoader", "widgets_values": ["styles/ink.safetensors", 0.8, 1]}]}
+PARAMETERS = ('a drawing with ink lines, <lora:ink:0.7>\nNegative prompt: blurry\n'
+              'Steps: 20, Sampler: Euler, Lora hashes: "ink: 1a2b3c4d5e6f, add: 6f5e4d3c2b1a", Model: juggernaut')
+
+
+def chunks():
+    return {"prompt": json.dumps(PROMPT), "workflow": json.dumps(WORKFLOW), "parameters": PARAMETERS}
+
+
+class ScrubMetadataTest(unittest.TestCase):
+    def test_modes(self):
+        self.assertEqual(set(scrub_metadata(chunks())), {"prompt", "workflow", "parameters"})
+        self.assertEqual(set(scrub_metadata(chunks(), "prompt only")), {"prompt", "parameters"})
+        self.assertEqual(scrub_metadata(chunks(), "none"), {})
+
+    def test_untouched_without_redaction(self):
+        scrubbed = scrub_metadata(chunks())
+        self.assertEqual(json.loads(scrubbed["prompt"]), PROMPT)
+        self.assertEqual(scrubbed["parameters"], PARAMETERS)
+
+    def test_redact_paths(self):
+        prompt = json.loads(scrub_metadata(chunks(), redact_paths=True)["prompt"])
+        self.assertEqual(prompt["1"]["inputs"]["ckpt_name"], "juggernaut.safetensors")
+        self.assertEqual(prompt["5"]["inputs"]["image"], "ref.png")
+
+    def test_find_lora_names(self):
+        self.assertEqual(find_lora_names([PROMPT, WORKFLOW, PARAMETERS]), {"styles/ink.safetensors", "add.safetensors", "add", "ink"})
+
+    def test_redact_loras_keeps_ordinary_words(self):
+        scrubbed = scrub_metadata(chunks(), redact_loras=True)
+        prompt = json.loads(scrubbed["prompt"])
+        self.assertEqual(prompt["2"]["inputs"]["lora_name"], REDACTED)
+        self.assertEqual(prompt["3"]["inputs"]["lora_name"], REDACTED)
+        # "add" and "ink" are LoRAs here, but also words of the prompt
+        self.assertEqual(prompt["4"]["inputs"]["text"], "add ink splashes to a drawing, <lora:{}:0.5>".format(REDACTED))
+        self.assertEqual(json.loads(scrubbed["workflow"])["nodes"][0]["widgets_values"][0], REDACTED)
+        self.assertEqual(scrubbed["parameters"], PARAMETERS
+                         .replace("<lora:ink:", "<lora:{}:".format(REDACTED))
+                         .replace('"ink: 1a2b3c4d5e6f, add: ', '"{0}: 1a2b3c4d5e6f, {0}: '.format(REDACTED)))
+
+
+if __name__ == '__main__':
+    unittest.main()
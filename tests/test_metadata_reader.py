@@ -0,0 +1,49 @@
+"""metadata_reader against the files in tests/fixtures/metadata (see expected.json).
+
+tests/metadata_reader.test.js reads the same files with the frontend's readers.
+Regenerate the files with: python tests/fixtures/metadata/generate.py
+"""
+import os
+import sys
+import io
+import json
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+FIXTURES = os.path.join(ROOT, 'tests', 'fixtures', 'metadata')
+sys.path.insert(0, ROOT)
+
+from metadata_reader import PNG_TAIL_SIZE, read_image_metadata, read_png_metadata  # noqa: E402
+
+
+class CountingFile(io.FileIO):
+    """File counting the bytes read from the disk"""
+    bytes_read = 0
+
+    def readinto(self, buffer):
+        count = super().readinto(buffer)
+        self.bytes_read += count or 0
+        return count
+
+
+class MetadataReaderTest(unittest.TestCase):
+    def test_read_image_metadata(self):
+        with open(os.path.join(FIXTURES, 'expected.json'), 'r', encoding='utf-8') as f:
+            fixtures = json.load(f)
+        for fixture in fixtures:
+            with self.subTest(fixture=fixture['file']):
+                self.assertEqual(read_image_metadata(os.path.join(FIXTURES, fixture['file'])), fixture['metadata'])
+
+    def test_png_stops_at_the_image_data(self):
+        path = os.path.join(FIXTURES, 'png_large_image.png')
+        file_size = os.path.getsize(path)
+        raw = CountingFile(path)
+        # Buffered like open(): every seek() makes the next read() fill a whole buffer
+        with io.BufferedReader(raw) as f:
+            read_png_metadata(f, file_size)
+        self.assertGreater(file_size, 4 * PNG_TAIL_SIZE)
+        self.assertLess(raw.bytes_read, PNG_TAIL_SIZE + 4 * io.DEFAULT_BUFFER_SIZE)
+
+
+if __name__ == '__main__':
+    unittest.main()
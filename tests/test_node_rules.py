@@ -0,0 +1,54 @@
+"""The Python side of the shared node rules, checked against tests/fixtures/node_rules.
+
+tests/node_rules.test.js runs the same fixtures through the frontend's extractor.
+Run with: python -m unittest discover -s tests
+"""
+import os
+import sys
+import json
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+FIXTURES = os.path.join(ROOT, 'tests', 'fixtures', 'node_rules')
+sys.path.insert(0, ROOT)
+
+from node_rules import extract_prompts, workflow_has_prompts, extract_prompts_from_metadata, metadata_has_prompts  # noqa: E402
+
+
+def load_fixtures():
+    for filename in sorted(os.listdir(FIXTURES)):
+        if filename.endswith('.json'):
+            with open(os.path.join(FIXTURES, filename), 'r', encoding='utf-8') as f:
+                yield filename, json.load(f)
+
+
+def chunks_of(metadata):
+    """Fixtures store JSON chunks parsed; images carry them as text"""
+    return {key: value if isinstance(value, str) else json.dumps(value) for key, value in metadata.items()}
+
+
+class NodeRulesTest(unittest.TestCase):
+    def test_extract_prompts(self):
+        for filename, fixture in load_fixtures():
+            with self.subTest(fixture=filename):
+                expected = fixture['expected']
+                if 'metadata' in fixture:
+                    prompts = extract_prompts_from_metadata(chunks_of(fixture['metadata']))
+                else:
+                    prompts = extract_prompts(fixture['prompt'])
+                self.assertEqual(prompts, (expected['positive'], expected['negative']))
+
+    def test_has_prompts(self):
+        for filename, fixture in load_fixtures():
+            with self.subTest(fixture=filename):
+                expected = fixture['expected']
+                has_prompts = bool(expected['positive'].strip() or expected['negative'].strip())
+                if 'metadata' in fixture:
+                    self.assertEqual(metadata_has_prompts(chunks_of(fixture['metadata'])), has_prompts)
+                else:
+                    self.assertEqual(workflow_has_prompts(fixture['prompt']), has_prompts)
+                    self.assertEqual(metadata_has_prompts({'prompt': json.dumps(fixture['prompt'])}), has_prompts)
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,27 @@
+"""convert_ui_workflow_to_prompt against the workflows in tests/fixtures/ui_workflows.
+
+tests/ui_workflow.test.js runs the same workflows through the frontend's converter.
+"""
+import os
+import sys
+import json
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+FIXTURES = os.path.join(ROOT, 'tests', 'fixtures', 'ui_workflows')
+sys.path.insert(0, ROOT)
+
+from node_rules import convert_ui_workflow_to_prompt  # noqa: E402
+
+
+class UIWorkflowTest(unittest.TestCase):
+    def test_fixtures(self):
+        for filename in sorted(name for name in os.listdir(FIXTURES) if name.endswith('.json')):
+            with open(os.path.join(FIXTURES, filename), 'r', encoding='utf-8') as f:
+                fixture = json.load(f)
+            with self.subTest(fixture=filename):
+                self.assertEqual(convert_ui_workflow_to_prompt(fixture['workflow']), fixture['expected_prompt'])
+
+
+if __name__ == '__main__':
+    unittest.main()
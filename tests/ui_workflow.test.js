@@ -0,0 +1,19 @@
+// convertUIWorkflowToPrompt against the workflows in tests/fixtures/ui_workflows.
+// tests/test_ui_workflow.py runs the same workflows through the Python converter.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { convertUIWorkflowToPrompt } from "../web/js/metadata_core.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "ui_workflows");
+
+for (const filename of fs.readdirSync(FIXTURES).filter(name => name.endsWith(".json")).sort()) {
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, filename), "utf8"));
+
+    test(`${filename}: ${fixture.description}`, () => {
+        assert.deepEqual(convertUIWorkflowToPrompt(fixture.workflow), fixture.expected_prompt);
+    });
+}
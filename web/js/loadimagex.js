@@ -1,402 +1,1042 @@
 import { app } from "../../../scripts/app.js";
 import { api } from "../../../scripts/api.js";
+import {
+    log, logError, cleanJSONString, parseImageMetadata, SETTINGS_ORDER, formatSettings,
+    extractPromptsFromWorkflow, registerWidgetNameResolver, registerTextExtractor, getTextExtractor, extractImageInfo
+} from "./metadata_core.js";
 
-// Configuration option to enable/disable logging
-const ENABLE_LOGGING = false; // Set to true to enable all console logs
+// Fetch a model folder listing from the server, or null if it can't be read
+async function fetchModelList(folder, signal = undefined) {
+    try {
+        const res = await api.fetchApi(`/models/${folder}`, { signal });
+        if (!res.ok) throw new Error(`Failed to fetch ${folder} list: ${res.status}`);
+        return await res.json();
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        logError(`[LoadImageX] Could not check local ${folder}:`, error);
+        return null;
+    }
+}
 
-// Helper function for conditional logging
-function log(message, style = "") {
-    if (ENABLE_LOGGING) {
-        if (style) {
-            console.log(message, style);
-        } else {
-            console.log(message);
-        }
+// Compare by file name only: other machines use other subfolders, path separators and extensions
+function modelKey(name) {
+    return String(name).split(/[\\/]/).pop().replace(/\.(safetensors|ckpt|pt|pth|bin)$/i, "").toLowerCase();
+}
+
+function formatResources(loras, embeddings, availableLoras, availableEmbeddings) {
+    const loraKeys = availableLoras ? new Set(availableLoras.map(modelKey)) : null;
+    const embeddingKeys = availableEmbeddings ? new Set(availableEmbeddings.map(modelKey)) : null;
+    const status = (keys, name) => !keys ? "" : keys.has(modelKey(name)) ? "[ok] " : "[missing] ";
+    const strength = (value) => Number.isFinite(value) ? Number(value.toFixed(3)) : "?";
+
+    const lines = [];
+    for (const lora of loras) {
+        let strengths = `model ${strength(lora.strength_model)}`;
+        if (lora.strength_clip !== undefined) strengths += `, clip ${strength(lora.strength_clip)}`;
+        lines.push(`${status(loraKeys, lora.name)}lora: ${lora.name} (${strengths})`);
     }
+    for (const embedding of embeddings) {
+        lines.push(`${status(embeddingKeys, embedding)}embedding: ${embedding}`);
+    }
+    return lines.join("\n");
 }
 
-function logError(message, error) {
-    if (ENABLE_LOGGING) {
-        console.error(message, error);
+// --- UI WORKFLOW (LiteGraph format) ---
+const WIDGET_INPUT_TYPES = ["INT", "FLOAT", "STRING", "BOOLEAN", "COMBO"];
+
+// Widget names of a node type from the node definitions this ComfyUI has loaded
+function getWidgetNamesFromNodeDef(type) {
+    const nodeClass = typeof LiteGraph !== "undefined" && LiteGraph.registered_node_types[type];
+    const nodeData = nodeClass && nodeClass.nodeData;
+    if (!nodeData || !nodeData.input) return null;
+
+    const names = [];
+    for (const group of ["required", "optional"]) {
+        const inputs = nodeData.input[group] || {};
+        const order = (nodeData.input_order && nodeData.input_order[group]) || Object.keys(inputs);
+        for (const name of order) {
+            const [type, options = {}] = inputs[name] || [];
+            if ((!Array.isArray(type) && !WIDGET_INPUT_TYPES.includes(type)) || options.forceInput) continue;
+            names.push(name);
+            if (type === "INT" && (options.control_after_generate || name === "seed" || name === "noise_seed")) {
+                names.push("control_after_generate");
+            }
+            if (options.image_upload) names.push("upload");
+        }
     }
+    return names;
 }
 
-// Helper function to clean potential non-standard JSON from metadata
-function cleanJSONString(jsonString) {
-    if (!jsonString) return null;
-    
-    // Replace all NaN occurrences (standalone or in arrays)
-    return jsonString
-        .replace(/:\s*NaN/g, ': null')           // Handles: "key": NaN
-        .replace(/\[\s*NaN\s*\]/g, '[null]')     // Handles: [NaN]
-        .replace(/,\s*NaN\s*,/g, ', null,')      // Handles: [..., NaN, ...]
-        .replace(/,\s*NaN\s*\]/g, ', null]');    // Handles: [..., NaN]
+// widgets_values of node types the core doesn't know are mapped through this server's node definitions
+registerWidgetNameResolver(getWidgetNamesFromNodeDef);
+
+// Public API for other extensions:
+//   window.LoadImageX.registerTextExtractor("My Text Node", (node) => node.inputs.my_text, { source: "my-pack" });
+// or declare them on your own extension:
+//   app.registerExtension({ name: "my.pack", loadImageXTextExtractors: { "My Text Node": (node) => ... } });
+window.LoadImageX = Object.assign(window.LoadImageX || {}, {
+    registerTextExtractor,
+    getTextExtractor,
+    extractPromptsFromWorkflow
+});
+
+// Multiline STRING widgets are backed by a textarea
+function makeWidgetReadOnly(widget) {
+    const element = widget && (widget.element || widget.inputEl);
+    if (element) element.readOnly = true;
 }
 
-// Self-contained function to parse metadata from a PNG file's raw data.
-function parsePNGMetadata(arrayBuffer) {
-    const dataView = new DataView(arrayBuffer);
-    const metadata = {};
+const AUTO_SAMPLER_PASS = "auto (last pass)";
 
-    // Check for PNG signature
-    const pngSignature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
-    for (let i = 0; i < 8; i++) {
-        if (dataView.getUint8(i) !== pngSignature[i]) {
-            logError("[LoadImageX] Not a valid PNG file.");
-            return null;
-        }
+// Dropdown choosing which sampler pass fills the prompt widgets. The choice is kept in
+// node.properties (saved with the workflow) as the sampler's node id.
+function addSamplerPassWidget(node) {
+    node.properties = node.properties || {};
+    return node.addWidget("combo", "sampler_pass", AUTO_SAMPLER_PASS, (value) => {
+        const match = value && value.match(/#(\S+)$/);
+        node.properties.sampler_pass = match ? match[1] : null;
+
+        const imageWidget = node.widgets.find(w => w.name === "image");
+        if (imageWidget && imageWidget.value) updatePromptsFromImage(imageWidget.value, node);
+    }, { values: [AUTO_SAMPLER_PASS], serialize: false });
+}
+
+// Split a combo value such as "renders/2024/x.png [output]" into the /view query parts
+function parseImagePath(value) {
+    let filename = String(value);
+    let type = "input";
+    const annotation = filename.match(/^(.*) \[(input|output|temp)\]$/);
+    if (annotation) {
+        filename = annotation[1];
+        type = annotation[2];
     }
+    const slash = filename.lastIndexOf("/");
+    return { filename: filename.substring(slash + 1), subfolder: slash >= 0 ? filename.substring(0, slash) : "", type };
+}
 
-    let offset = 8;
-    while (offset < dataView.byteLength) {
-        const length = dataView.getUint32(offset);
-        offset += 4;
-        const chunkType = String.fromCharCode(
-            dataView.getUint8(offset), dataView.getUint8(offset + 1),
-            dataView.getUint8(offset + 2), dataView.getUint8(offset + 3)
-        );
-        offset += 4;
-
-        if (chunkType === 'tEXt' || chunkType === 'iTXt') {
-            const chunkData = new Uint8Array(arrayBuffer, offset, length);
-            const text = new TextDecoder('utf-8').decode(chunkData);
-            const nullIndex = text.indexOf('\0');
-            if (nullIndex !== -1) {
-                const keyword = text.substring(0, nullIndex);
-                const value = text.substring(nullIndex + 1);
-                metadata[keyword] = value;
-            }
-        }
+const IMAGE_SOURCES = ["input", "output", "temp"];
 
-        offset += length + 4; // Skip data and CRC
-        if (chunkType === 'IEND') break;
+// Folder the image combo lists files from (subfolders included). Kept in node.properties like the
+// sampler pass; the image value itself carries its folder as a "[output]" annotation.
+function addSourceWidget(node, refreshList) {
+    node.properties = node.properties || {};
+    const widget = node.addWidget("combo", "source", "input", (value) => {
+        node.properties.image_source = value;
+        refreshList(value);
+    }, { values: IMAGE_SOURCES, serialize: false });
+
+    // Saved workflows restore their properties after onNodeCreated, then call onConfigure
+    const onConfigure = node.onConfigure;
+    node.onConfigure = function() {
+        const r = onConfigure ? onConfigure.apply(this, arguments) : undefined;
+        widget.value = this.properties.image_source || "input";
+        refreshList(widget.value);
+        return r;
+    };
+    return widget;
+}
+
+async function updateImageFileCombo(imageWidget, source) {
+    // Only the latest list may be shown: switching sources quickly mustn't end on an older answer
+    const request = imageWidget.loadImageXListRequest = (imageWidget.loadImageXListRequest || 0) + 1;
+    try {
+        const res = await api.fetchApi(`/loadimagex/files?source=${source}`);
+        if (!res.ok) throw new Error(`Failed to list ${source} images: ${res.status}`);
+        const files = (await res.json()).files;
+        if (request === imageWidget.loadImageXListRequest) imageWidget.options.values = files;
+    } catch (error) {
+        logError("[LoadImageX] Could not refresh the image list:", error);
     }
-    return metadata;
 }
 
-// Robust function to find positive/negative prompts in the workflow
-function extractPromptsFromWorkflow(workflow) {
-    const prompts = { positive: "", negative: "" };
-    if (!workflow) return prompts;
+// Get an image's metadata. The server reads just the metadata chunks from disk; if that route is
+// unavailable (older install) or can't read the format, download the image and parse it here.
+// `signal` (from an AbortController) cancels both requests.
+async function fetchImageMetadata(filename, signal = undefined) {
+    const { filename: name, subfolder, type } = parseImagePath(filename);
+    const query = `filename=${encodeURIComponent(name)}&type=${type}&subfolder=${encodeURIComponent(subfolder)}`;
+    try {
+        const res = await api.fetchApi(`/loadimagex/metadata?${query}`, { signal });
+        if (res.ok) return await res.json();
+        log(`[LoadImageX] Metadata route answered ${res.status}, downloading the image instead.`);
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        logError("[LoadImageX] Metadata route failed, downloading the image instead:", error);
+    }
 
-    // 1. PRIORITY STRATEGY: Look for nodes explicitly named "Positive Prompt" or "Negative Prompt"
-    // This is the most reliable method for templates and organized workflows.
-    for (const nodeId in workflow) {
-        const node = workflow[nodeId];
-        const title = node._meta?.title?.toLowerCase() || "";
-        
-        if (title === "positive prompt" || title === "pos prompt" || title === "prompt") {
-            // Only overwrite if we haven't found a text yet or if this seems more "direct"
-            const text = extractTextFromNode(nodeId, new Set(), workflow);
-            if (text) prompts.positive = text;
-        }
-        
-        if (title === "negative prompt" || title === "neg prompt") {
-            const text = extractTextFromNode(nodeId, new Set(), workflow);
-            if (text) prompts.negative = text;
-        }
+    // A video can be gigabytes: not worth downloading for a few metadata bytes
+    if (VIDEO_FILE_PATTERN.test(name)) throw new Error("Metadata route unavailable, not downloading the video");
+    const res = await api.fetchApi(`/view?${query}`, { signal });
+    if (!res.ok) throw new Error(`Failed to fetch image: ${res.status}`);
+    return await parseImageMetadata(await res.arrayBuffer());
+}
+
+// --- PROMPT EDITS (lock toggle, per-image memory, load status) ---
+
+const PROMPT_EDITS_LIMIT = 50; // Images whose edited prompts are remembered per node
+
+// Remember the prompts typed into the node for the image they were loaded from, in
+// node.properties (saved with the workflow) so they come back when the image is picked again
+function rememberPromptEdits(node) {
+    const source = node.loadImageXSource;
+    if (!source || !source.filename || node.properties.lock_prompts) return;
+
+    const edits = {};
+    for (const side of ["positive", "negative"]) {
+        const widget = node.widgets.find(w => w.name === `${side}_prompt`);
+        if (widget && widget.value !== source[side]) edits[side] = widget.value;
     }
 
-    // If we found both via titles, we are done.
-    if (prompts.positive && prompts.negative) return prompts;
+    const memory = node.properties.prompt_edits = node.properties.prompt_edits || {};
+    delete memory[source.filename]; // Re-inserted last: the oldest entries go first
+    if (Object.keys(edits).length > 0) memory[source.filename] = edits;
+    const names = Object.keys(memory);
+    names.slice(0, Math.max(0, names.length - PROMPT_EDITS_LIMIT)).forEach(name => delete memory[name]);
+}
+
+// Track edits of the prompt widgets, and the "lock prompts" toggle that keeps them when the image changes
+function addPromptEditWidgets(node) {
+    node.properties = node.properties || {};
+    for (const name of ["positive_prompt", "negative_prompt"]) {
+        const widget = node.widgets.find(w => w.name === name);
+        if (!widget) continue;
+        const originalCallback = widget.callback;
+        widget.callback = function() {
+            rememberPromptEdits(node);
+            if (originalCallback) return originalCallback.apply(this, arguments);
+        };
+        if (widget.inputEl) widget.inputEl.addEventListener("input", () => rememberPromptEdits(node));
+    }
 
-    // 2. GRAPH TRAVERSAL STRATEGY: Follow the connections from Samplers
-    const INPUT_PATTERNS = {
-        // Added 'guider' for SamplerCustomAdvanced/Flux workflows
-        positive: ['positive', 'conditioning_positive', 'pos', 'guider'], 
-        negative: ['negative', 'conditioning_negative', 'neg']
+    const widget = node.addWidget("toggle", "lock prompts", false, (value) => {
+        node.properties.lock_prompts = value;
+        // Unlocked: show the current image's prompts (and its remembered edits) again
+        const imageWidget = node.widgets.find(w => w.name === "image");
+        if (!value && imageWidget && imageWidget.value) updatePromptsFromImage(imageWidget.value, node);
+    }, { serialize: false });
+
+    // Saved workflows restore their properties after onNodeCreated, then call onConfigure
+    const onConfigure = node.onConfigure;
+    node.onConfigure = function() {
+        const r = onConfigure ? onConfigure.apply(this, arguments) : undefined;
+        widget.value = !!this.properties.lock_prompts;
+        return r;
     };
+    widget.value = !!node.properties.lock_prompts;
+    return widget;
+}
 
-    try {
-        // Find candidate nodes (nodes with positive/negative/guider inputs)
-        const candidateNodes = [];
-        for (const nodeId in workflow) {
-            const node = workflow[nodeId];
-            if (node.inputs) {
-                const hasPositive = INPUT_PATTERNS.positive.some(pattern => 
-                    node.inputs[pattern] && Array.isArray(node.inputs[pattern])
-                );
-                const hasNegative = INPUT_PATTERNS.negative.some(pattern => 
-                    node.inputs[pattern] && Array.isArray(node.inputs[pattern])
-                );
-                
-                if (hasPositive || hasNegative) {
-                    candidateNodes.push({
-                        nodeId,
-                        hasPositive,
-                        hasNegative,
-                        priority: (hasPositive ? 1 : 0) + (hasNegative ? 1 : 0)
-                    });
-                }
-            }
-        }
-        candidateNodes.sort((a, b) => b.priority - a.priority);
+// { text, error } shown in the title bar while the metadata loads, or when it failed
+function setLoadStatus(node, status) {
+    node.loadImageXStatus = status;
+    node.setDirtyCanvas(true, false);
+}
 
-        let positiveNodeId = null;
-        let negativeNodeId = null;
+function addLoadStatusIndicator(node) {
+    const onDrawForeground = node.onDrawForeground;
+    node.onDrawForeground = function(ctx) {
+        const r = onDrawForeground ? onDrawForeground.apply(this, arguments) : undefined;
+        const status = this.loadImageXStatus;
+        if (status && !(this.flags && this.flags.collapsed)) {
+            ctx.save();
+            // Only the room right of the title, which starts after the title box
+            ctx.font = (app.canvas && app.canvas.title_text_font) || `${LiteGraph.NODE_TEXT_SIZE}px Arial`;
+            const title = this.getTitle ? this.getTitle() : this.title;
+            const titleEnd = LiteGraph.NODE_TITLE_HEIGHT + ctx.measureText(title || "").width + 12;
+            const room = this.size[0] - 8 - titleEnd;
 
-        for (const candidate of candidateNodes) {
-            const node = workflow[candidate.nodeId];
-            if (!positiveNodeId && !prompts.positive) {
-                for (const pattern of INPUT_PATTERNS.positive) {
-                    if (node.inputs[pattern] && Array.isArray(node.inputs[pattern])) {
-                        positiveNodeId = String(node.inputs[pattern][0]);
-                        break;
-                    }
-                }
+            ctx.font = "12px Arial";
+            let text = status.text;
+            if (ctx.measureText(text).width > room) {
+                while (text && ctx.measureText(text + "…").width > room) text = text.slice(0, -1);
+                text = text ? text + "…" : "";
             }
-            if (!negativeNodeId && !prompts.negative) {
-                for (const pattern of INPUT_PATTERNS.negative) {
-                    if (node.inputs[pattern] && Array.isArray(node.inputs[pattern])) {
-                        negativeNodeId = String(node.inputs[pattern][0]);
-                        break;
-                    }
-                }
-            }
-            if ((positiveNodeId || prompts.positive) && (negativeNodeId || prompts.negative)) break;
-        }
-
-        // Extract using the IDs found via graph traversal (if not already found by title)
-        if (positiveNodeId && !prompts.positive) prompts.positive = extractTextFromNode(positiveNodeId, new Set(), workflow);
-        if (negativeNodeId && !prompts.negative) prompts.negative = extractTextFromNode(negativeNodeId, new Set(), workflow);
-
-        // 3. FALLBACK STRATEGY: Scan for unconnected CLIPTextEncode nodes
-        if (!prompts.positive || !prompts.negative) {
-            for (const nodeId in workflow) {
-                const node = workflow[nodeId];
-                if ((node.class_type === "CLIPTextEncode" || node.class_type === "CLIPTextEncodeFlux") && node.inputs && typeof node.inputs.text === 'string') {
-                    const title = node._meta?.title?.toLowerCase() || "";
-                    if (title.includes("negative") || title.includes("neg")) {
-                        if (!prompts.negative) prompts.negative = node.inputs.text;
-                    } else {
-                        if (!prompts.positive && nodeId !== positiveNodeId && nodeId !== negativeNodeId) {
-                            prompts.positive = node.inputs.text;
-                        }
-                    }
-                }
+            if (text) {
+                ctx.textAlign = "right";
+                ctx.fillStyle = status.error ? "#e06c6c" : "#999";
+                ctx.fillText(text, this.size[0] - 8, -LiteGraph.NODE_TITLE_HEIGHT / 2 + 4);
             }
+            ctx.restore();
+        }
+        return r;
+    };
+}
+
+// Main function to get metadata from an image and update the text boxes.
+// `metadata` is passed in when it was already read, e.g. from a local file before its upload.
+// A newer call cancels the request of an older one, so a slow response never shows the wrong image.
+async function updatePromptsFromImage(filename, node, metadata = null) {
+    const positiveWidget = node.widgets.find(w => w.name === "positive_prompt");
+    const negativeWidget = node.widgets.find(w => w.name === "negative_prompt");
+    const settingsWidget = node.widgets.find(w => w.name === "generation_settings");
+    const resourcesWidget = node.widgets.find(w => w.name === "loras_and_embeddings");
+    const passWidget = node.widgets.find(w => w.name === "sampler_pass");
+
+    if (node.loadImageXRequest) node.loadImageXRequest.abort();
+    const request = node.loadImageXRequest = new AbortController();
+    const { signal } = request;
+    setLoadStatus(node, { text: "loading metadata…" });
+
+    try {
+        metadata = metadata || await fetchImageMetadata(filename, signal);
+        if (signal.aborted) return;
+        
+        log("%c[LoadImageX] Metadata:", "color: #0066ff; font-weight: bold");
+        log("%c" + JSON.stringify(metadata, null, 2), "color: #0066ff");
+        
+        const prompts = extractImageInfo(metadata, node.properties?.sampler_pass);
+
+        // SaveImageWithMetadataX writes the prompts edited in this node back into these chunks,
+        // "send settings to sampler" pushes the settings into the current graph
+        node.loadImageXSource = { filename, metadata, positive: prompts.positive, negative: prompts.negative, settings: prompts.settings, sources: prompts.sources };
+        updatePromptSourceWidgets(node, prompts.sources);
+
+        // Log results
+        if (prompts.positive) {
+            log("%c[LoadImageX] Positive Prompt:", "color: #00cc00; font-weight: bold");
+            log("%c" + prompts.positive, "color: #00cc00");
         }
         
+        if (prompts.negative) {
+            log("%c[LoadImageX] Negative Prompt:", "color: #ff0000; font-weight: bold");
+            log("%c" + prompts.negative, "color: #ff0000");
+        }
+
+        // Locked prompts stay as they are; otherwise edits made earlier to this image come back
+        if (!node.properties?.lock_prompts) {
+            const edits = (node.properties?.prompt_edits || {})[filename] || {};
+            if (positiveWidget) positiveWidget.value = edits.positive ?? prompts.positive;
+            if (negativeWidget) negativeWidget.value = edits.negative ?? prompts.negative;
+        }
+        if (settingsWidget) settingsWidget.value = formatSettings(prompts.settings);
+
+        if (passWidget) {
+            const labels = prompts.passes.map((pass, i) => `${i + 1}. ${pass.title} #${pass.nodeId}`);
+            const selected = prompts.passes.findIndex(pass => pass.nodeId === node.properties?.sampler_pass);
+            passWidget.options.values = [AUTO_SAMPLER_PASS, ...labels];
+            passWidget.value = selected >= 0 ? labels[selected] : AUTO_SAMPLER_PASS;
+        }
+
+        // LoRA/embedding inventory, checked against what this server has installed
+        if (resourcesWidget) {
+            const { loras, embeddings } = prompts;
+            const [availableLoras, availableEmbeddings] = await Promise.all([
+                loras.length > 0 ? fetchModelList("loras", signal) : null,
+                embeddings.length > 0 ? fetchModelList("embeddings", signal) : null
+            ]);
+            if (signal.aborted) return;
+            resourcesWidget.value = formatResources(loras, embeddings, availableLoras, availableEmbeddings);
+        }
+        setLoadStatus(node, null);
+        
     } catch (error) {
-        logError("[LoadImageX] Error processing workflow:", error);
+        if (signal.aborted) return; // Replaced by a newer request, which owns the widgets now
+        logError("[LoadImageX] Error processing image metadata:", error);
+
+        // Don't leave the previous image's prompts next to this image
+        node.loadImageXSource = null;
+        updatePromptSourceWidgets(node, null);
+        if (!node.properties?.lock_prompts) {
+            if (positiveWidget) positiveWidget.value = "";
+            if (negativeWidget) negativeWidget.value = "";
+        }
+        if (settingsWidget) settingsWidget.value = "";
+        if (resourcesWidget) resourcesWidget.value = "";
+        setLoadStatus(node, { text: `metadata error: ${error.message || error}`, error: true });
+    } finally {
+        if (node.loadImageXRequest === request) node.loadImageXRequest = null;
     }
-    
-    return prompts;
 }
 
-// Helper function extracted outside to be clean and recursive
-function extractTextFromNode(nodeId, visited = new Set(), workflow) {
-    if (!nodeId || visited.has(nodeId)) return "";
-    visited.add(nodeId);
-    
-    const node = workflow[String(nodeId)];
-    if (!node) return "";
+// --- PROMPT SOURCES (provenance badge and tooltips) ---
 
-    // --- TRAVERSAL NODES ---
+function formatSourceNode(node) {
+    return `#${node.nodeId} ${node.class_type}` + (node.title && node.title !== node.class_type ? ` "${node.title}"` : "");
+}
 
-    // 1. BasicGuider (Flux/SD3)
-    // Pass through to the 'conditioning' input
-    if (node.class_type === "BasicGuider") {
-        if (node.inputs && node.inputs.conditioning && Array.isArray(node.inputs.conditioning)) {
-            return extractTextFromNode(String(node.inputs.conditioning[0]), visited, workflow);
-        }
+function formatPromptSourceTooltip(source) {
+    if (!source) return "No source found";
+    const lines = [`Found by: ${source.strategy}`];
+    if (source.nodeId) lines.push(`Node: ${formatSourceNode(source)}`);
+    const suppliers = source.suppliers || [];
+    if (suppliers.length > 1) lines.push(`Combined from: ${suppliers.map(node => `#${node.nodeId}`).join(", ")}`);
+    if (source.path.length > 1) lines.push(`Path: ${source.path.map(node => `#${node.nodeId}`).join(" -> ")}`);
+    return lines.join("\n");
+}
+
+// Tooltips on the prompt boxes, and a short summary on the "prompt sources" button
+function updatePromptSourceWidgets(node, sources) {
+    for (const side of ["positive", "negative"]) {
+        const widget = node.widgets.find(w => w.name === `${side}_prompt`);
+        // DOM widgets of the current frontend have .element, the legacy ones .inputEl
+        const element = widget && (widget.element || widget.inputEl);
+        if (element) element.title = sources ? formatPromptSourceTooltip(sources[side]) : "";
     }
+    const button = node.widgets.find(w => w.name === "prompt sources");
+    if (!button) return;
+    const short = (source) => !source ? "none" : (source.nodeId ? `#${source.nodeId}` : source.strategy);
+    button.label = sources ? `prompt sources: + ${short(sources.positive)}  - ${short(sources.negative)}` : "prompt sources";
+}
 
-    // 2. ConditioningCombine
-    if (node.class_type === "ConditioningCombine") {
-        const t1 = node.inputs.conditioning_1 ? extractTextFromNode(String(node.inputs.conditioning_1[0]), visited, workflow) : "";
-        const t2 = node.inputs.conditioning_2 ? extractTextFromNode(String(node.inputs.conditioning_2[0]), visited, workflow) : "";
-        return [t1, t2].filter(t => t).join("\n");
+// List the nodes of the embedded workflow each prompt was read from, the source node highlighted
+function showPromptSources(node) {
+    const sources = node.loadImageXSource && node.loadImageXSource.sources;
+    if (!sources) {
+        showMessage("No prompt sources", "Select an image with prompt metadata first.", "info");
+        return;
     }
 
-    // 3. Conditioning Passthroughs
-    const condPassthroughTypes = [
-        "ConditioningSetTimestepRange", "ConditioningAverage", "ConditioningSetArea", 
-        "ConditioningSetMask", "ChromaPaddingRemoval", "ConditioningZeroOut"
-    ];
-    if (condPassthroughTypes.includes(node.class_type)) {
-        if (node.class_type === "ConditioningZeroOut") return ""; // Stop at ZeroOut usually
-        
-        if (node.inputs.conditioning && Array.isArray(node.inputs.conditioning)) {
-            return extractTextFromNode(String(node.inputs.conditioning[0]), visited, workflow);
-        }
-        if (node.inputs.conditioning_to && Array.isArray(node.inputs.conditioning_to)) {
-            return extractTextFromNode(String(node.inputs.conditioning_to[0]), visited, workflow);
+    const container = document.createElement("div");
+    container.style.cssText = "font-family: monospace; font-size: 12px; white-space: pre-wrap; max-width: 700px;";
+    for (const side of ["positive", "negative"]) {
+        const source = sources[side];
+        const heading = document.createElement("div");
+        heading.style.cssText = "font-weight: bold; margin-top: 8px;";
+        heading.textContent = `${side === "positive" ? "Positive" : "Negative"} prompt: ${source ? source.strategy : "not found"}`;
+        container.append(heading);
+
+        const supplierIds = source ? (source.suppliers || []).map(supplier => supplier.nodeId) : [];
+        for (const pathNode of source ? source.path : []) {
+            const isSource = pathNode.nodeId === source.nodeId || supplierIds.includes(pathNode.nodeId);
+            const line = document.createElement("div");
+            line.textContent = `${isSource ? ">" : " "} ${formatSourceNode(pathNode)}`;
+            if (isSource) line.style.cssText = "color: #4caf50; font-weight: bold;";
+            container.append(line);
         }
     }
+    app.ui.dialog.show(container);
+}
 
-    // --- TEXT EXTRACTION NODES ---
+// --- LOCAL FILES (upload button, drag and drop, paste) ---
 
-    // 4. Text Concatenate (WAS Node Suite & Others)
-    if ((node.class_type === "Text Concatenate" || node.class_type === "StringConcatenate") && node.inputs) {
-        let parts = [];
-        const delimiter = node.inputs.delimiter || "";
-        
-        // WAS Suite style
-        ['text_a', 'text_b', 'text_c', 'text_d'].forEach(key => {
-            if (node.inputs[key]) {
-                if (Array.isArray(node.inputs[key])) {
-                    const val = extractTextFromNode(String(node.inputs[key][0]), visited, workflow);
-                    if(val) parts.push(val);
-                } else {
-                    parts.push(node.inputs[key]);
-                }
-            }
-        });
+// Local files up to this size are read in the browser, once: parsed to show their prompts before the
+// upload and hashed to spot re-uploads. Videos and larger files get their prompts from the server.
+const LOCAL_FILE_READ_LIMIT = 64 * 1024 * 1024;
 
-        // Custom Scripts style
-        if (parts.length === 0) {
-             if (node.inputs.string_a) {
-                 if(Array.isArray(node.inputs.string_a)) parts.push(extractTextFromNode(String(node.inputs.string_a[0]), visited, workflow));
-                 else parts.push(node.inputs.string_a);
-             }
-             if (node.inputs.string_b) {
-                 if(Array.isArray(node.inputs.string_b)) parts.push(extractTextFromNode(String(node.inputs.string_b[0]), visited, workflow));
-                 else parts.push(node.inputs.string_b);
-             }
+async function hashBuffer(buffer) {
+    // crypto.subtle only exists on https and localhost
+    if (!window.crypto || !window.crypto.subtle) return null;
+    const digest = await window.crypto.subtle.digest("SHA-256", buffer);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Put a local file into the input folder. A file already there under the same name is reused when
+// its content (`buffer`, when the file was read) is identical; otherwise the server picks a free name
+// instead of overwriting it.
+async function uploadImageFile(file, buffer = null) {
+    const hash = buffer && await hashBuffer(buffer);
+    if (hash) {
+        const res = await api.fetchApi(`/loadimagex/file_hash?filename=${encodeURIComponent(file.name)}&type=input`);
+        if (res.ok && (await res.json()).sha256 === hash) {
+            log(`[LoadImageX] ${file.name} is already in the input folder, not uploading it again`);
+            return file.name;
         }
-        
-        return parts.join(delimiter);
     }
 
-    // 5. Text Multiline (WAS Node Suite)
-    if (node.class_type === "Text Multiline" && node.inputs) {
-        const textVal = node.inputs.text;
-        if (Array.isArray(textVal)) {
-            return extractTextFromNode(String(textVal[0]), visited, workflow);
-        }
-        // Check widgets_values if text input is not an array
-        if (node.widgets_values && node.widgets_values.length > 0) {
-            return node.widgets_values[0] || "";
+    const formData = new FormData();
+    formData.append("image", file);
+    formData.append("overwrite", "false");
+    const res = await api.fetchApi("/upload/image", { method: "POST", body: formData });
+    if (!res.ok) throw new Error(`Upload failed: ${res.status} ${res.statusText}`);
+    const data = await res.json();
+    return data.subfolder ? `${data.subfolder}/${data.name}` : data.name;
+}
+
+// Metadata of a file that was just uploaded, handed once to the image widget callback so it
+// isn't fetched back from the server
+function takeUploadedMetadata(node, filename) {
+    const uploaded = node.loadImageXUploadedMetadata;
+    node.loadImageXUploadedMetadata = null;
+    return uploaded && uploaded.filename === filename ? uploaded.metadata : null;
+}
+
+// Show the prompts of a local image at once (parsed in the browser), then upload it and select it
+async function loadLocalImageFile(node, file, refreshList) {
+    const imageWidget = node.widgets.find(w => w.name === "image");
+    const sourceWidget = node.widgets.find(w => w.name === "source");
+    if (!imageWidget) return;
+
+    let buffer = null;
+    let metadata = null;
+    if (file.size <= LOCAL_FILE_READ_LIMIT && !VIDEO_FILE_PATTERN.test(file.name)) {
+        try {
+            buffer = await file.arrayBuffer();
+            metadata = await parseImageMetadata(buffer);
+            // Unreadable here: wait for the upload rather than showing an input file of the same name
+            if (metadata) await updatePromptsFromImage(file.name, node, metadata);
+        } catch (error) {
+            logError("[LoadImageX] Could not read the metadata of the local file:", error);
         }
-        return textVal || "";
     }
 
-    // 6. CLIPTextEncode (Standard, Flux, PCLazy)
-    // Added PCLazyTextEncodeAdvanced support specifically
-    if ((node.class_type === "CLIPTextEncode" || node.class_type === "CLIPTextEncodeFlux" || 
-         node.class_type === "PCLazyTextEncode" || node.class_type === "PCLazyTextEncodeAdvanced") && node.inputs) {
-        const textKeys = ['text', 'clip_l', 't5xxl'];
-        for (const key of textKeys) {
-            if (node.inputs[key] !== undefined) {
-                if (Array.isArray(node.inputs[key])) {
-                    return extractTextFromNode(String(node.inputs[key][0]), visited, workflow);
-                }
-                const value = node.inputs[key] || "";
-                if (value) return value;
-            }
+    try {
+        const name = await uploadImageFile(file, buffer);
+        // Uploads always land in the input folder
+        node.properties.image_source = "input";
+        if (sourceWidget) sourceWidget.value = "input";
+        await refreshList("input");
+        imageWidget.value = name;
+        // Trigger the callback to update the preview; it reuses the metadata read above
+        node.loadImageXUploadedMetadata = metadata && { filename: name, metadata };
+        if (imageWidget.callback) {
+            imageWidget.callback(name);
         }
+        node.loadImageXUploadedMetadata = null;
+    } catch (error) {
+        logError("[LoadImageX] Upload error:", error);
     }
+}
 
-    // 7. ImpactWildcardProcessor
-    if (node.class_type === "ImpactWildcardProcessor" && node.inputs) {
-        return node.inputs.populated_text || node.inputs.wildcard_text || "";
+// Files the loaders take: stills, animations (APNG, animated WebP) and ComfyUI video outputs.
+// Browsers often report no type for .mkv, so it is matched by extension.
+const LOADER_FILE_TYPES = [
+    "image/png", "image/apng", "image/jpeg", "image/webp",
+    "video/mp4", "video/quicktime", "video/webm", "video/x-matroska", ".mkv"
+];
+const VIDEO_FILE_PATTERN = /\.(mp4|mov|m4v|webm|mkv)$/i;
+
+// Accept files dropped on the node, or pasted while it is selected (MIME types or ".ext")
+function addLocalFileHandlers(node, acceptedTypes, refreshList) {
+    const isAccepted = (file) => acceptedTypes.some(type =>
+        type.startsWith(".") ? file.name.toLowerCase().endsWith(type) : file.type === type);
+    const pickFile = (files) => [...(files || [])].find(isAccepted);
+
+    node.onDragOver = (e) => !!e.dataTransfer && [...e.dataTransfer.items].some(item => item.kind === "file");
+    node.onDragDrop = (e) => {
+        const file = pickFile(e.dataTransfer && e.dataTransfer.files);
+        if (!file) return false;
+        loadLocalImageFile(node, file, refreshList);
+        return true;
+    };
+    node.pasteFiles = (files) => {
+        const file = pickFile(files);
+        if (!file) return false;
+        loadLocalImageFile(node, file, refreshList);
+        return true;
+    };
+    node.pasteFile = (file) => node.pasteFiles([file]);
+}
+
+// --- METADATA GALLERY (sidebar) ---
+
+// Annotated file name -> { name, source, version, positive, negative, model, loras, searchText };
+// version ("mtime:size") tells when a file was overwritten and has to be read again
+const galleryEntries = new Map();
+const GALLERY_CONCURRENCY = 4; // Metadata requests in flight while filling the gallery
+const GALLERY_MAX_ITEMS = 300; // Rendered at once; narrow the search to see the rest
+
+const GALLERY_STYLE = `
+.loadimagex-gallery { display: flex; flex-direction: column; height: 100%; padding: 8px; gap: 8px; box-sizing: border-box; }
+.loadimagex-gallery-toolbar { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; }
+.loadimagex-gallery-toolbar input[type=search] { flex: 1 1 100%; padding: 4px 6px; background: var(--comfy-input-bg); color: var(--input-text); border: 1px solid var(--border-color); border-radius: 4px; }
+.loadimagex-gallery-status { font-size: 11px; opacity: 0.7; margin-left: auto; }
+.loadimagex-gallery-list { flex: 1; overflow-y: auto; display: flex; flex-direction: column; gap: 6px; }
+.loadimagex-gallery-item { display: flex; gap: 8px; padding: 4px; border-radius: 4px; cursor: pointer; border: 1px solid transparent; }
+.loadimagex-gallery-item:hover { border-color: var(--border-color); background: var(--comfy-input-bg); }
+.loadimagex-gallery-item img, .loadimagex-gallery-item video { width: 80px; height: 80px; object-fit: cover; border-radius: 3px; flex-shrink: 0; }
+.loadimagex-gallery-text { min-width: 0; font-size: 11px; display: flex; flex-direction: column; gap: 2px; }
+.loadimagex-gallery-text div { overflow: hidden; display: -webkit-box; -webkit-box-orient: vertical; word-break: break-word; }
+.loadimagex-gallery-name { font-weight: bold; -webkit-line-clamp: 1; }
+.loadimagex-gallery-positive { -webkit-line-clamp: 3; }
+.loadimagex-gallery-negative { -webkit-line-clamp: 2; color: #e06c6c; }
+`;
+
+function galleryThumbnailURL(name) {
+    const { filename, subfolder, type } = parseImagePath(name);
+    return api.apiURL(`/view?filename=${encodeURIComponent(filename)}&type=${type}&subfolder=${encodeURIComponent(subfolder)}&preview=webp;50`);
+}
+
+// <img> thumbnail, or a muted <video> showing the first frame: /view can't make previews of videos
+function createThumbnail(name, properties = {}) {
+    const { filename, subfolder, type } = parseImagePath(name);
+    if (!VIDEO_FILE_PATTERN.test(filename)) {
+        return Object.assign(document.createElement("img"), { src: galleryThumbnailURL(name), loading: "lazy" }, properties);
     }
+    const src = api.apiURL(`/view?filename=${encodeURIComponent(filename)}&type=${type}&subfolder=${encodeURIComponent(subfolder)}`);
+    return Object.assign(document.createElement("video"), { src, muted: true, preload: "metadata" }, properties);
+}
+
+async function loadGalleryEntry(name, source, version) {
+    const info = extractImageInfo(await fetchImageMetadata(name));
+    const entry = {
+        name, source, version,
+        positive: info.positive,
+        negative: info.negative,
+        model: info.settings.model || "",
+        loras: info.loras.map(lora => lora.name)
+    };
+    entry.searchText = [name, entry.positive, entry.negative, entry.model, ...entry.loras].join("\n").toLowerCase();
+    galleryEntries.set(name, entry);
+    return entry;
+}
 
-    // 8. String Literal
-    if (node.class_type === "String Literal" && node.inputs) {
-        return node.inputs.string || "";
+// Put an image into the selected loader node, or into a new LoadImageX in the middle of the view
+function useGalleryImage(entry) {
+    const LOADER_TYPES = ["LoadImageX", "OnlyLoadImagesWithMetadata"];
+    let node = Object.values(app.canvas.selected_nodes || {}).find(n => LOADER_TYPES.includes(n.type));
+    if (!node) {
+        node = LiteGraph.createNode("LoadImageX");
+        const { offset, scale } = app.canvas.ds;
+        node.pos = [
+            app.canvas.canvas.width / 2 / scale - offset[0] - node.size[0] / 2,
+            app.canvas.canvas.height / 2 / scale - offset[1] - node.size[1] / 2
+        ];
+        app.graph.add(node);
+        app.canvas.selectNode(node);
     }
 
-    // 9. Primitive Node (sometimes text is stored in a primitive node)
-    if (node.class_type === "PrimitiveNode" && node.inputs) {
-        // Check widgets_values if they exist (common in primitive nodes)
-        if (node.widgets_values && node.widgets_values.length > 0) {
-             const val = node.widgets_values[0];
-             if (typeof val === 'string') return val;
-        }
+    const imageWidget = node.widgets.find(w => w.name === "image");
+    const sourceWidget = node.widgets.find(w => w.name === "source");
+    if (!imageWidget) return;
+    if (sourceWidget && sourceWidget.value !== entry.source) {
+        sourceWidget.value = entry.source;
+        sourceWidget.callback(entry.source);
     }
+    imageWidget.value = entry.name;
+    imageWidget.callback(entry.name);
+    app.graph.setDirtyCanvas(true, true);
+}
 
-    // 10. General Fallback
-    if (node.inputs) {
-         if (node.inputs.text) {
-             if (Array.isArray(node.inputs.text)) {
-                 return extractTextFromNode(String(node.inputs.text[0]), visited, workflow);
-             } else if (typeof node.inputs.text === 'string') {
-                 return node.inputs.text;
-             }
-         }
-         // Try following conditioning if we haven't found a specific type
-         if (node.inputs.conditioning && Array.isArray(node.inputs.conditioning)) {
-             return extractTextFromNode(String(node.inputs.conditioning[0]), visited, workflow);
-         }
+function createGalleryPanel(container) {
+    if (!document.getElementById("loadimagex-gallery-style")) {
+        const style = document.createElement("style");
+        style.id = "loadimagex-gallery-style";
+        style.textContent = GALLERY_STYLE;
+        document.head.appendChild(style);
     }
 
-    return "";
-}
+    const element = (tag, className, properties = {}) =>
+        Object.assign(document.createElement(tag), className ? { className } : {}, properties);
 
-// Main function to get metadata from an image and update the text boxes
-async function updatePromptsFromImage(filename, node) {
-    const positiveWidget = node.widgets.find(w => w.name === "positive_prompt");
-    const negativeWidget = node.widgets.find(w => w.name === "negative_prompt");
+    const root = element("div", "loadimagex-gallery");
+    const toolbar = element("div", "loadimagex-gallery-toolbar");
+    const search = element("input", "", { type: "search", placeholder: "Search prompts, checkpoints, LoRAs..." });
+    const includeOutput = element("input", "", { type: "checkbox" });
+    const outputLabel = element("label", "", { textContent: " output" });
+    outputLabel.prepend(includeOutput);
+    const refreshButton = element("button", "", { textContent: "Refresh" });
+    const status = element("span", "loadimagex-gallery-status");
+    const list = element("div", "loadimagex-gallery-list");
+    toolbar.append(search, outputLabel, refreshButton, status);
+    root.append(toolbar, list);
+    container.replaceChildren(root);
 
-    if (positiveWidget) positiveWidget.value = "";
-    if (negativeWidget) negativeWidget.value = "";
+    const selectedSources = () => includeOutput.checked ? ["input", "output"] : ["input"];
 
-    try {
-        const res = await api.fetchApi(`/view?filename=${encodeURIComponent(filename)}&type=input&subfolder=`);
-        if (!res.ok) throw new Error(`Failed to fetch image: ${res.status}`);
-        
-        const buffer = await res.arrayBuffer();
-        const metadata = parsePNGMetadata(buffer);
-        
-        log("%c[LoadImageX] Metadata:", "color: #0066ff; font-weight: bold");
-        log("%c" + JSON.stringify(metadata, null, 2), "color: #0066ff");
-        
-        let prompts = { positive: "", negative: "" };
-        
-        // FIRST: Try to get NEGATIVE prompt from the prompt execution data
-        if (metadata && metadata.prompt) {
-            const promptData = JSON.parse(cleanJSONString(metadata.prompt));
-            prompts = extractPromptsFromWorkflow(promptData);
+    const render = () => {
+        const terms = search.value.toLowerCase().split(/\s+/).filter(term => term);
+        const sources = selectedSources();
+        const matches = [...galleryEntries.values()]
+            .filter(entry => sources.includes(entry.source) && terms.every(term => entry.searchText.includes(term)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        list.replaceChildren(...matches.slice(0, GALLERY_MAX_ITEMS).map(entry => {
+            const item = element("div", "loadimagex-gallery-item", { title: entry.name });
+            const text = element("div", "loadimagex-gallery-text");
+            text.append(
+                element("div", "loadimagex-gallery-name", { textContent: entry.name }),
+                element("div", "loadimagex-gallery-positive", { textContent: entry.positive || "(no prompt)" }),
+                element("div", "loadimagex-gallery-negative", { textContent: entry.negative })
+            );
+            item.append(createThumbnail(entry.name), text);
+            item.addEventListener("click", () => useGalleryImage(entry));
+            return item;
+        }));
+        if (matches.length > GALLERY_MAX_ITEMS) {
+            list.append(element("div", "loadimagex-gallery-status", { textContent: `${matches.length - GALLERY_MAX_ITEMS} more, refine the search to see them` }));
         }
-        
-        // SECOND: Try to get POSITIVE prompt from the workflow data (Display Any node - more reliable)
-        if (metadata && metadata.workflow) {
-            try {
-                const workflowData = JSON.parse(cleanJSONString(metadata.workflow));
-                if (workflowData && workflowData.nodes) {
-                    // Look for Display Any node with the prompt
-                    for (const workflowNode of workflowData.nodes) {
-                        if (workflowNode.type === "Display Any (rgthree)" && 
-                            workflowNode.widgets_values && 
-                            workflowNode.widgets_values.length > 0) {
-                            const displayText = workflowNode.widgets_values[0];
-                            if (displayText && displayText.length > 100) { // Likely the full prompt
-                                prompts.positive = displayText;
-                                break;
-                            }
-                        }
+    };
+
+    // Re-render at most once per frame while metadata streams in
+    let renderQueued = false;
+    const scheduleRender = () => {
+        if (renderQueued) return;
+        renderQueued = true;
+        requestAnimationFrame(() => {
+            renderQueued = false;
+            render();
+        });
+    };
+
+    let refreshing = false;
+    const refresh = async () => {
+        if (refreshing) return;
+        refreshing = true;
+        try {
+            const sources = selectedSources();
+            const files = [];
+            for (const source of sources) {
+                const res = await api.fetchApi(`/loadimagex/files?source=${source}&versions=1`);
+                if (!res.ok) throw new Error(`Failed to list ${source} images: ${res.status}`);
+                const { files: names, versions = {} } = await res.json();
+                files.push(...names.map(name => ({ name, source, version: versions[name] })));
+            }
+
+            // Drop deleted files, read only the ones we haven't seen yet or that changed since
+            const current = new Set(files.map(file => file.name));
+            for (const [name, entry] of galleryEntries) {
+                if (sources.includes(entry.source) && !current.has(name)) galleryEntries.delete(name);
+            }
+            const pending = files.filter(file => {
+                const entry = galleryEntries.get(file.name);
+                return !entry || entry.version !== file.version;
+            });
+
+            let next = 0, done = 0;
+            const worker = async () => {
+                while (next < pending.length) {
+                    const { name, source, version } = pending[next++];
+                    try {
+                        await loadGalleryEntry(name, source, version);
+                    } catch (error) {
+                        logError(`[LoadImageX] Gallery could not read ${name}:`, error);
                     }
+                    status.textContent = `Reading ${++done}/${pending.length}`;
+                    scheduleRender();
                 }
-            } catch (e) {
-                logError("[LoadImageX] Error parsing workflow data:", e);
+            };
+            await Promise.all(Array.from({ length: GALLERY_CONCURRENCY }, worker));
+            status.textContent = `${files.length} images`;
+        } catch (error) {
+            status.textContent = "Could not list images";
+            logError("[LoadImageX] Gallery refresh failed:", error);
+        } finally {
+            refreshing = false;
+            render();
+        }
+    };
+
+    search.addEventListener("input", scheduleRender);
+    includeOutput.addEventListener("change", refresh);
+    refreshButton.addEventListener("click", refresh);
+    render();
+    refresh();
+}
+
+// --- EMBEDDED WORKFLOW ACTIONS (node context menu) ---
+
+// Toast on the new frontend, alert() on older ones
+function showMessage(summary, detail, severity = "warn") {
+    const toast = app.extensionManager && app.extensionManager.toast;
+    if (toast) {
+        toast.add({ severity, summary, detail, life: 8000 });
+    } else {
+        alert(`${summary}\n\n${detail}`);
+    }
+}
+
+// The UI workflow (or at least the API prompt) saved in the node's current image
+async function getEmbeddedWorkflow(node) {
+    const imageWidget = node.widgets.find(w => w.name === "image");
+    if (!imageWidget || !imageWidget.value) return {};
+
+    const metadata = await fetchImageMetadata(imageWidget.value);
+    const embedded = { name: parseImagePath(imageWidget.value).filename };
+    for (const key of ["workflow", "prompt"]) {
+        if (!metadata || !metadata[key]) continue;
+        try {
+            embedded[key] = JSON.parse(cleanJSONString(metadata[key]));
+        } catch (e) {
+            logError(`[LoadImageX] Error parsing embedded ${key}:`, e);
+        }
+    }
+    if (embedded.workflow && !Array.isArray(embedded.workflow.nodes)) delete embedded.workflow;
+    return embedded;
+}
+
+function findMissingNodeTypes(embedded) {
+    // Subgraph instances use the subgraph id as their type
+    const subgraphIds = new Set(((embedded.workflow?.definitions?.subgraphs) || []).map(subgraph => subgraph.id));
+    const types = embedded.workflow
+        ? embedded.workflow.nodes.map(node => node.type)
+        : Object.values(embedded.prompt || {}).map(node => node && node.class_type);
+    return [...new Set(types)].filter(type => type && !subgraphIds.has(type) && !LiteGraph.registered_node_types[type]);
+}
+
+function warnMissingNodeTypes(embedded) {
+    const missing = findMissingNodeTypes(embedded);
+    if (missing.length > 0) {
+        showMessage("Missing node types", `This workflow uses nodes that aren't installed:\n${missing.join("\n")}`);
+    }
+    return missing;
+}
+
+async function openEmbeddedWorkflow(node) {
+    const embedded = await getEmbeddedWorkflow(node);
+    if (!embedded.workflow && !embedded.prompt) {
+        showMessage("No embedded workflow", `${embedded.name || "This image"} doesn't contain a ComfyUI workflow.`, "info");
+        return;
+    }
+
+    // Frontends with workflow tabs open the graph in a new tab, older ones replace the canvas
+    const hasTabs = !!(app.extensionManager && app.extensionManager.workflow);
+    if (!hasTabs && !confirm("Replace the current workflow with the one embedded in this image?")) return;
+
+    warnMissingNodeTypes(embedded);
+    if (embedded.workflow) {
+        await app.loadGraphData(embedded.workflow, true, true, embedded.name);
+    } else if (app.loadApiJson) {
+        app.loadApiJson(embedded.prompt, embedded.name);
+    } else {
+        showMessage("No embedded workflow", "This image only has an API prompt, which this ComfyUI version can't open.");
+    }
+}
+
+// Paste the embedded graph to the right of `node`, inside a group, with fresh node ids
+async function mergeEmbeddedWorkflow(node) {
+    const embedded = await getEmbeddedWorkflow(node);
+    const workflow = embedded.workflow;
+    if (!workflow) {
+        showMessage("No embedded workflow", `${embedded.name || "This image"} doesn't contain a ComfyUI UI workflow to merge.`, "info");
+        return;
+    }
+    const graph = node.graph || app.graph;
+    const missing = warnMissingNodeTypes(embedded);
+
+    // Shift the whole graph so its top-left corner lands next to the loader
+    const nodes = workflow.nodes.filter(data => data.pos);
+    const left = Math.min(...nodes.map(data => data.pos[0]));
+    const top = Math.min(...nodes.map(data => data.pos[1]));
+    const padding = 20;
+    const offsetX = node.pos[0] + node.size[0] + 60 + padding - left;
+    const offsetY = node.pos[1] - top;
+
+    graph.beforeChange?.();
+    const created = new Map(); // embedded node id -> new node
+    for (const data of nodes) {
+        if (missing.includes(data.type)) continue;
+        const newNode = LiteGraph.createNode(data.type);
+        if (!newNode) continue;
+        // Links are recreated below, so don't let the node keep the embedded link ids
+        newNode.configure({
+            ...data,
+            id: newNode.id,
+            pos: [data.pos[0] + offsetX, data.pos[1] + offsetY],
+            inputs: (data.inputs || []).map(input => ({ ...input, link: null })),
+            outputs: (data.outputs || []).map(output => ({ ...output, links: null }))
+        });
+        graph.add(newNode); // Assigns an id that is free in this graph
+        created.set(data.id, newNode);
+    }
+
+    // Links are [id, origin_id, origin_slot, target_id, target_slot, type] or objects with the same names
+    for (const link of workflow.links || []) {
+        const [, originId, originSlot, targetId, targetSlot] = Array.isArray(link)
+            ? link
+            : [link.id, link.origin_id, link.origin_slot, link.target_id, link.target_slot];
+        const origin = created.get(originId);
+        const target = created.get(targetId);
+        if (origin && target) origin.connect(originSlot, target, targetSlot);
+    }
+
+    // [left, top, right, bottom] of everything pasted
+    const bounds = [...created.values()].map(n => [n.pos[0], n.pos[1] - LiteGraph.NODE_TITLE_HEIGHT, n.pos[0] + n.size[0], n.pos[1] + n.size[1]]);
+
+    // Groups of the embedded workflow, moved along with their nodes
+    for (const data of workflow.groups || []) {
+        const group = new LiteGraph.LGraphGroup();
+        const [x, y, width, height] = data.bounding;
+        group.configure({ ...data, id: undefined, bounding: [x + offsetX, y + offsetY, width, height] });
+        graph.add(group);
+        bounds.push([x + offsetX, y + offsetY, x + offsetX + width, y + offsetY + height]);
+    }
+
+    // One group around everything that was pasted
+    if (created.size > 0) {
+        const minX = Math.min(...bounds.map(b => b[0])) - padding;
+        const minY = Math.min(...bounds.map(b => b[1])) - padding - 40; // Room for the group title
+        const maxX = Math.max(...bounds.map(b => b[2])) + padding;
+        const maxY = Math.max(...bounds.map(b => b[3])) + padding;
+        const group = new LiteGraph.LGraphGroup(`Workflow from ${embedded.name}`);
+        group.pos = [minX, minY];
+        group.size = [maxX - minX, maxY - minY];
+        graph.add(group);
+    }
+    graph.afterChange?.();
+    graph.setDirtyCanvas(true, true);
+    log(`[LoadImageX] Merged ${created.size} nodes from ${embedded.name}`);
+}
+
+function addEmbeddedWorkflowMenuOptions(nodeType) {
+    const getExtraMenuOptions = nodeType.prototype.getExtraMenuOptions;
+    nodeType.prototype.getExtraMenuOptions = function(canvas, options) {
+        const r = getExtraMenuOptions ? getExtraMenuOptions.apply(this, arguments) : undefined;
+        options.push(
+            { content: "Open embedded workflow", callback: () => openEmbeddedWorkflow(this) },
+            { content: "Merge embedded workflow into graph", callback: () => mergeEmbeddedWorkflow(this) },
+            null
+        );
+        return r;
+    };
+}
+
+// --- SEND SETTINGS TO SAMPLER ---
+
+// Extracted setting -> widget names it goes into on KSampler, KSamplerAdvanced, SamplerCustom...
+const SAMPLER_SETTING_WIDGETS = {
+    seed: ["seed", "noise_seed"],
+    steps: ["steps"],
+    cfg: ["cfg"],
+    sampler_name: ["sampler_name"],
+    scheduler: ["scheduler"],
+    denoise: ["denoise"]
+};
+
+function isGraphSamplerNode(node) {
+    const inputNames = (node.inputs || []).map(input => input.name);
+    const widgetNames = (node.widgets || []).map(widget => widget.name);
+    return inputNames.includes("positive") && inputNames.includes("negative") &&
+        ["seed", "noise_seed", "steps", "cfg"].some(name => widgetNames.includes(name));
+}
+
+// Selected samplers, else the ones fed by the loader (img2img, prompt outputs), else the only one in the graph
+function findTargetSamplers(loader) {
+    const selected = Object.values(app.canvas.selected_nodes || {}).filter(isGraphSamplerNode);
+    if (selected.length > 0) return selected;
+
+    const found = [];
+    const visited = new Set([loader.id]);
+    const queue = [loader];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        (current.outputs || []).forEach((output, slot) => {
+            for (const target of current.getOutputNodes(slot) || []) {
+                if (visited.has(target.id)) continue;
+                visited.add(target.id);
+                if (isGraphSamplerNode(target)) found.push(target);
+                queue.push(target);
             }
+        });
+    }
+    if (found.length > 0) return found;
+
+    const samplers = loader.graph._nodes.filter(isGraphSamplerNode);
+    return samplers.length === 1 ? samplers : [];
+}
+
+// The text encoder behind a sampler's positive/negative input, through ControlNet and other conditioning nodes
+function findTextEncoder(sampler, inputName) {
+    const visited = new Set();
+    let slot = sampler.findInputSlot(inputName);
+    let current = slot >= 0 ? sampler.getInputNode(slot) : null;
+    while (current && !visited.has(current.id)) {
+        visited.add(current.id);
+        if ((current.widgets || []).some(widget => widget.name === "text")) return current;
+        slot = (current.inputs || []).findIndex(input => input.type === "CONDITIONING" && input.link != null);
+        current = slot >= 0 ? current.getInputNode(slot) : null;
+    }
+    return null;
+}
+
+// Widget changes that sending the loader's values would make: [{ node, widget, value }]
+function planSamplerChanges(loader, samplers) {
+    const settings = loader.loadImageXSource.settings || {};
+    const changes = [];
+    const skipped = [];
+    const plan = (node, widget, value) => {
+        if (!widget || value === undefined || value === null || value === "") return;
+        if (widget.type === "number") value = Number(value);
+        if (widget.type === "combo" && !(widget.options.values || []).includes(value)) {
+            skipped.push(`${node.title} #${node.id}: ${widget.name} "${value}" isn't available here`);
+            return;
+        }
+        if (widget.value !== value && !changes.some(change => change.widget === widget)) {
+            changes.push({ node, widget, value });
         }
+    };
 
-        // Log results
-        if (prompts.positive) {
-            log("%c[LoadImageX] Positive Prompt:", "color: #00cc00; font-weight: bold");
-            log("%c" + prompts.positive, "color: #00cc00");
+    for (const sampler of samplers) {
+        for (const [key, names] of Object.entries(SAMPLER_SETTING_WIDGETS)) {
+            plan(sampler, sampler.widgets.find(widget => names.includes(widget.name)), settings[key]);
         }
-        
-        if (prompts.negative) {
-            log("%c[LoadImageX] Negative Prompt:", "color: #ff0000; font-weight: bold");
-            log("%c" + prompts.negative, "color: #ff0000");
+        // Keep the sent seed instead of randomizing it on the next run
+        if (settings.seed !== undefined) {
+            plan(sampler, sampler.widgets.find(widget => widget.name === "control_after_generate"), "fixed");
         }
 
-        if (positiveWidget && prompts.positive) positiveWidget.value = prompts.positive;
-        if (negativeWidget && prompts.negative) negativeWidget.value = prompts.negative;
-        
-    } catch (error) {
-        logError("[LoadImageX] Error processing image metadata:", error);
+        for (const [inputName, widgetName] of [["positive", "positive_prompt"], ["negative", "negative_prompt"]]) {
+            const encoder = findTextEncoder(sampler, inputName);
+            if (!encoder || encoder === loader) continue;
+            // A text input wired to the loader already follows it
+            if ((encoder.inputs || []).some(input => input.widget && input.widget.name === "text" && input.link != null)) continue;
+            plan(encoder, encoder.widgets.find(widget => widget.name === "text"), loader.widgets.find(widget => widget.name === widgetName)?.value);
+        }
     }
+    return { changes, skipped };
+}
+
+// Push the loader's seed, steps, cfg, sampler, scheduler, denoise and prompts into the samplers of
+// the current graph, after showing what changes. All of it is a single undo step.
+function sendSettingsToSampler(loader) {
+    if (!loader.loadImageXSource) {
+        showMessage("Nothing to send", "Select an image with generation metadata first.", "info");
+        return;
+    }
+    const samplers = findTargetSamplers(loader);
+    if (samplers.length === 0) {
+        showMessage("No sampler found", "Select the KSampler (or KSamplerAdvanced, SamplerCustom) the settings should go to.", "info");
+        return;
+    }
+
+    const { changes, skipped } = planSamplerChanges(loader, samplers);
+    if (changes.length === 0) {
+        showMessage("Nothing to change", ["The samplers already use these settings.", ...skipped].join("\n"), "info");
+        return;
+    }
+
+    const shorten = (value) => {
+        const text = String(value).replace(/\s+/g, " ");
+        return text.length > 60 ? text.slice(0, 57) + "..." : text;
+    };
+    const preview = changes.map(({ node, widget, value }) => `${node.title} #${node.id}: ${widget.name}: ${shorten(widget.value)} -> ${shorten(value)}`);
+    if (!confirm(["Apply these changes?", "", ...preview, ...(skipped.length > 0 ? ["", "Skipped:", ...skipped] : [])].join("\n"))) return;
+
+    const graph = loader.graph;
+    graph.beforeChange?.();
+    for (const { widget, value } of changes) {
+        widget.value = value;
+    }
+    graph.afterChange?.();
+    // Record the undo step now rather than on the next mouse or key event
+    const workflow = app.extensionManager?.workflow?.activeWorkflow || app.workflowManager?.activeWorkflow;
+    workflow?.changeTracker?.checkState?.();
+    graph.setDirtyCanvas(true, true);
 }
 
 app.registerExtension({
     name: "testt.LoadImageX",
+    async setup() {
+        // Pick up text extractors other extensions declared on their extension object
+        for (const extension of app.extensions || []) {
+            const extractors = extension.loadImageXTextExtractors;
+            if (!extractors) continue;
+            for (const [classType, handler] of Object.entries(extractors)) {
+                // One broken declaration mustn't keep the other extensions' extractors out
+                try {
+                    registerTextExtractor(classType, handler, { source: extension.name });
+                } catch (error) {
+                    console.warn(`[LoadImageX] Text extractor for "${classType}" from extension "${extension.name}" not registered:`, error);
+                }
+            }
+        }
+
+        // Searchable gallery of images and their prompts (needs a frontend with sidebar tabs)
+        if (app.extensionManager && app.extensionManager.registerSidebarTab) {
+            app.extensionManager.registerSidebarTab({
+                id: "loadimagex.gallery",
+                icon: "pi pi-images",
+                title: "Prompts",
+                tooltip: "Image prompt gallery",
+                type: "custom",
+                render: (container) => createGalleryPanel(container)
+            });
+        }
+    },
     async beforeRegisterNodeDef(nodeType, nodeData, app) {
         if (nodeData.name === "LoadImageX") {
+            // Open or merge the workflow saved in the image
+            addEmbeddedWorkflowMenuOptions(nodeType);
+
             const onNodeCreated = nodeType.prototype.onNodeCreated;
 
             nodeType.prototype.onNodeCreated = function() {
@@ -406,14 +1046,41 @@ app.registerExtension({
                 const imageWidget = this.widgets.find(w => w.name === "image");
                 if (!imageWidget) return r;
 
+                // The settings and LoRA boxes only display what was extracted from the image
+                makeWidgetReadOnly(this.widgets.find(w => w.name === "generation_settings"));
+                makeWidgetReadOnly(this.widgets.find(w => w.name === "loras_and_embeddings"));
+
+                // Hires fix/refiner/detailer workflows have one prompt pair per sampler pass
+                addSamplerPassWidget(this);
+
+                // Keep hand-edited prompts: per image, or all of them while "lock prompts" is on
+                addPromptEditWidgets(this);
+                addLoadStatusIndicator(this);
+
+                // Copy the extracted settings and prompts into the samplers of the current graph
+                this.addWidget("button", "send settings to sampler", null, () => sendSettingsToSampler(self), { serialize: false });
+
+                // Which strategy and node each prompt was read from
+                this.addWidget("button", "prompt sources", null, () => showPromptSources(self), { serialize: false });
+
+                // Browse input, output or temp, subfolders included
+                const refreshList = (source) => updateImageFileCombo(imageWidget, source);
+                addSourceWidget(this, refreshList);
+
+                // Drop an image on the node or paste one from the clipboard
+                addLocalFileHandlers(this, LOADER_FILE_TYPES, refreshList);
+
                 // Store the original callback
                 const originalCallback = imageWidget.callback;
                 
                 // Override the callback to handle both value change and preview update
                 imageWidget.callback = function(value) {
                     if (value) {
+                        // A sampler pass picked for the previous image means nothing for this one
+                        self.properties.sampler_pass = null;
+
                         // Update prompts from metadata
-                        updatePromptsFromImage(value, self);
+                        updatePromptsFromImage(value, self, takeUploadedMetadata(self, value));
                         
                         // Trigger the node to update its outputs
                         // This is important for the preview to update
@@ -442,7 +1109,7 @@ app.registerExtension({
                     uploadWidget.callback = () => {
                         const fileInput = document.createElement("input");
                         fileInput.type = "file";
-                        fileInput.accept = "image/png,image/jpeg,image/webp";
+                        fileInput.accept = LOADER_FILE_TYPES.join(",");
                         fileInput.style.display = "none";
                         document.body.appendChild(fileInput);
 
@@ -451,29 +1118,8 @@ app.registerExtension({
                                 document.body.removeChild(fileInput);
                                 return;
                             }
-                            const file = e.target.files[0];
-                            const formData = new FormData();
-                            formData.append("image", file);
-                            formData.append("overwrite", "true");
-                            
                             try {
-                                const response = await api.fetchApi("/upload/image", { 
-                                    method: "POST", 
-                                    body: formData 
-                                });
-                                if (response.ok) {
-                                    const data = await response.json();
-                                    // Update the widget value
-                                    imageWidget.value = data.name;
-                                    // Trigger the callback to update prompts and preview
-                                    if (imageWidget.callback) {
-                                        imageWidget.callback(data.name);
-                                    }
-                                } else {
-                                    logError("[LoadImageX] Upload failed:", response.statusText);
-                                }
-                            } catch (error) {
-                                logError("[LoadImageX] Upload error:", error);
+                                await loadLocalImageFile(self, e.target.files[0], refreshList);
                             } finally {
                                 document.body.removeChild(fileInput);
                             }
@@ -488,11 +1134,43 @@ app.registerExtension({
     }
 });
 
+// Files known to carry prompts, per source folder, kept in sync with the server's metadata index.
+// Only the changes since `seq` are transferred on each refresh.
+const metadataIndexes = {};
+
+async function refreshMetadataFileList(source = "input") {
+    const metadataIndex = metadataIndexes[source] || (metadataIndexes[source] = { seq: 0, files: new Map() });
+    const res = await api.fetchApi(`/loadimagex/metadata_index?source=${source}&since=${metadataIndex.seq}`);
+    if (!res.ok) throw new Error(`Failed to refresh the metadata index: ${res.status}`);
+    const data = await res.json();
+
+    if (data.full) metadataIndex.files.clear();
+    for (const [file, hasPrompts] of Object.entries(data.changed)) metadataIndex.files.set(file, hasPrompts);
+    for (const file of data.removed) metadataIndex.files.delete(file);
+    metadataIndex.seq = data.seq;
+
+    return [...metadataIndex.files].filter(([, hasPrompts]) => hasPrompts).map(([file]) => file).sort();
+}
+
+// Refresh the image combo of an OnlyLoadImagesWithMetadata node from the metadata index
+async function updateMetadataFileCombo(imageWidget, source) {
+    const request = imageWidget.loadImageXListRequest = (imageWidget.loadImageXListRequest || 0) + 1;
+    try {
+        const files = await refreshMetadataFileList(source);
+        if (request === imageWidget.loadImageXListRequest) imageWidget.options.values = files;
+    } catch (error) {
+        logError("[OnlyLoadImagesWithMetadata] Could not refresh the image list:", error);
+    }
+}
+
 // NEW: OnlyLoadImagesWithMetadata extension
 app.registerExtension({
     name: "testt.OnlyLoadImagesWithMetadata",
     async beforeRegisterNodeDef(nodeType, nodeData, app) {
         if (nodeData.name === "OnlyLoadImagesWithMetadata") {
+            // Open or merge the workflow saved in the image
+            addEmbeddedWorkflowMenuOptions(nodeType);
+
             const onNodeCreated = nodeType.prototype.onNodeCreated;
 
             nodeType.prototype.onNodeCreated = function() {
@@ -502,14 +1180,41 @@ app.registerExtension({
                 const imageWidget = this.widgets.find(w => w.name === "image");
                 if (!imageWidget) return r;
 
+                // The settings and LoRA boxes only display what was extracted from the image
+                makeWidgetReadOnly(this.widgets.find(w => w.name === "generation_settings"));
+                makeWidgetReadOnly(this.widgets.find(w => w.name === "loras_and_embeddings"));
+
+                // Hires fix/refiner/detailer workflows have one prompt pair per sampler pass
+                addSamplerPassWidget(this);
+
+                // Keep hand-edited prompts: per image, or all of them while "lock prompts" is on
+                addPromptEditWidgets(this);
+                addLoadStatusIndicator(this);
+
+                // Copy the extracted settings and prompts into the samplers of the current graph
+                this.addWidget("button", "send settings to sampler", null, () => sendSettingsToSampler(self), { serialize: false });
+
+                // Which strategy and node each prompt was read from
+                this.addWidget("button", "prompt sources", null, () => showPromptSources(self), { serialize: false });
+
+                // Pick up files added since the node definitions were loaded
+                const refreshList = (source) => updateMetadataFileCombo(imageWidget, source);
+                addSourceWidget(this, refreshList);
+
+                // Drop an image on the node or paste one from the clipboard
+                addLocalFileHandlers(this, LOADER_FILE_TYPES, refreshList);
+
                 // Store the original callback
                 const originalCallback = imageWidget.callback;
                 
                 // Override the callback to handle both value change and preview update
                 imageWidget.callback = function(value) {
                     if (value) {
+                        // A sampler pass picked for the previous image means nothing for this one
+                        self.properties.sampler_pass = null;
+
                         // Update prompts from metadata
-                        updatePromptsFromImage(value, self);
+                        updatePromptsFromImage(value, self, takeUploadedMetadata(self, value));
                         
                         // Trigger the node to update its outputs
                         // This is important for the preview to update
@@ -538,7 +1243,7 @@ app.registerExtension({
                     uploadWidget.callback = () => {
                         const fileInput = document.createElement("input");
                         fileInput.type = "file";
-                        fileInput.accept = ".png";
+                        fileInput.accept = LOADER_FILE_TYPES.join(",");
                         fileInput.style.display = "none";
                         document.body.appendChild(fileInput);
 
@@ -547,29 +1252,8 @@ app.registerExtension({
                                 document.body.removeChild(fileInput);
                                 return;
                             }
-                            const file = e.target.files[0];
-                            const formData = new FormData();
-                            formData.append("image", file);
-                            formData.append("overwrite", "true");
-                            
                             try {
-                                const response = await api.fetchApi("/upload/image", { 
-                                    method: "POST", 
-                                    body: formData 
-                                });
-                                if (response.ok) {
-                                    const data = await response.json();
-                                    // Update the widget value
-                                    imageWidget.value = data.name;
-                                    // Trigger the callback to update prompts and preview
-                                    if (imageWidget.callback) {
-                                        imageWidget.callback(data.name);
-                                    }
-                                } else {
-                                    logError("[OnlyLoadImagesWithMetadata] Upload failed:", response.statusText);
-                                }
-                            } catch (error) {
-                                logError("[OnlyLoadImagesWithMetadata] Upload error:", error);
+                                await loadLocalImageFile(self, e.target.files[0], refreshList);
                             } finally {
                                 document.body.removeChild(fileInput);
                             }
@@ -583,3 +1267,464 @@ app.registerExtension({
         }
     }
 });
+
+// --- PROMPT DIFF (ComparePromptsX) ---
+
+// Comma separated prompts are compared tag by tag, anything else word by word
+function diffPrompts(before, after) {
+    const byTag = `${before}${after}`.includes(",");
+    const tokenize = (text) => (text ? (byTag ? text.split(",") : text.split(/\s+/)) : [])
+        .map(token => token.trim())
+        .filter(token => token);
+    const a = tokenize(before);
+    const b = tokenize(after);
+
+    // Longest common subsequence table, filled from the end
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    let i = 0, j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            parts.push({ type: "same", value: a[i++] });
+            j++;
+        } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            parts.push({ type: "removed", value: a[i++] });
+        } else {
+            parts.push({ type: "added", value: b[j++] });
+        }
+    }
+    return { separator: byTag ? ", " : " ", parts };
+}
+
+function comparePromptInfo(infoA, infoB) {
+    return {
+        positive: diffPrompts(infoA.positive, infoB.positive),
+        negative: diffPrompts(infoA.negative, infoB.negative),
+        settings: SETTINGS_ORDER
+            .map(key => ({ key, before: infoA.settings[key] ?? "", after: infoB.settings[key] ?? "" }))
+            .filter(row => String(row.before) !== String(row.after))
+    };
+}
+
+// Plain text version, also sent out of the node's STRING output
+function formatPromptDiff(comparison) {
+    const lines = [];
+    for (const [label, diff] of [["Positive", comparison.positive], ["Negative", comparison.negative]]) {
+        const changes = diff.parts.filter(part => part.type !== "same");
+        lines.push(`${label}:`);
+        if (changes.length === 0) lines.push("  (no changes)");
+        for (const part of changes) lines.push(`  ${part.type === "added" ? "+" : "-"} ${part.value}`);
+    }
+    lines.push("Settings:");
+    if (comparison.settings.length === 0) lines.push("  (no changes)");
+    for (const row of comparison.settings) lines.push(`  ${row.key}: ${row.before} -> ${row.after}`);
+    return lines.join("\n");
+}
+
+// Highlighted version: both prompts in full, removals struck out in red, additions in green
+function renderPromptDiff(element, comparison) {
+    const PART_STYLES = {
+        same: "",
+        added: "color: #4caf50; background: rgba(76, 175, 80, 0.15);",
+        removed: "color: #e06c6c; background: rgba(224, 108, 108, 0.15); text-decoration: line-through;"
+    };
+    const create = (tag, text, style = "") => Object.assign(document.createElement(tag), { textContent: text, style: style });
+
+    const children = [];
+    for (const [label, diff] of [["Positive", comparison.positive], ["Negative", comparison.negative]]) {
+        children.push(create("div", label, "font-weight: bold; margin-top: 4px;"));
+        const line = create("div", "");
+        diff.parts.forEach((part, index) => {
+            if (index > 0) line.append(diff.separator);
+            line.append(create("span", part.value, PART_STYLES[part.type]));
+        });
+        if (diff.parts.length === 0) line.append(create("span", "(empty)", "opacity: 0.6;"));
+        children.push(line);
+    }
+
+    children.push(create("div", "Settings", "font-weight: bold; margin-top: 4px;"));
+    const table = create("table", "", "border-collapse: collapse;");
+    for (const row of comparison.settings) {
+        const tr = document.createElement("tr");
+        tr.append(
+            create("td", row.key, "padding-right: 8px;"),
+            create("td", String(row.before), PART_STYLES.removed + " padding: 0 4px;"),
+            create("td", String(row.after), PART_STYLES.added + " padding: 0 4px;")
+        );
+        table.append(tr);
+    }
+    children.push(comparison.settings.length > 0 ? table : create("div", "(no changes)", "opacity: 0.6;"));
+    element.replaceChildren(...children);
+}
+
+async function updatePromptDiff(node) {
+    const imageA = node.widgets.find(w => w.name === "image_a")?.value;
+    const imageB = node.widgets.find(w => w.name === "image_b")?.value;
+    const diffWidget = node.widgets.find(w => w.name === "prompt_diff");
+    if (!imageA || !imageB) return;
+
+    // Only the latest selection may write its result
+    const request = node.promptDiffRequest = (node.promptDiffRequest || 0) + 1;
+    try {
+        const [infoA, infoB] = await Promise.all([imageA, imageB].map(async (image) => extractImageInfo(await fetchImageMetadata(image))));
+        if (request !== node.promptDiffRequest) return;
+
+        const comparison = comparePromptInfo(infoA, infoB);
+        if (diffWidget) diffWidget.value = formatPromptDiff(comparison);
+        if (node.promptDiffElement) renderPromptDiff(node.promptDiffElement, comparison);
+        app.graph.setDirtyCanvas(true, true);
+    } catch (error) {
+        logError("[ComparePromptsX] Error comparing prompts:", error);
+    }
+}
+
+app.registerExtension({
+    name: "testt.ComparePromptsX",
+    async beforeRegisterNodeDef(nodeType, nodeData, app) {
+        if (nodeData.name === "ComparePromptsX") {
+            const onNodeCreated = nodeType.prototype.onNodeCreated;
+
+            nodeType.prototype.onNodeCreated = function() {
+                const r = onNodeCreated ? onNodeCreated.apply(this, arguments) : undefined;
+                const self = this;
+
+                const imageWidgets = ["image_a", "image_b"].map(name => this.widgets.find(w => w.name === name)).filter(w => w);
+                if (imageWidgets.length < 2) return r;
+
+                // The text diff is computed here and only passed through by the node
+                makeWidgetReadOnly(this.widgets.find(w => w.name === "prompt_diff"));
+
+                // Highlighted view of the same diff
+                if (this.addDOMWidget) {
+                    const element = document.createElement("div");
+                    element.style.cssText = "font-size: 11px; overflow-y: auto; max-height: 300px; word-break: break-word;";
+                    this.addDOMWidget("diff_view", "loadimagex_diff", element, { serialize: false });
+                    this.promptDiffElement = element;
+                }
+
+                addSourceWidget(this, (source) => {
+                    for (const widget of imageWidgets) updateImageFileCombo(widget, source);
+                });
+
+                for (const widget of imageWidgets) {
+                    const originalCallback = widget.callback;
+                    widget.callback = function(value) {
+                        updatePromptDiff(self);
+                        if (originalCallback) {
+                            return originalCallback.apply(this, arguments);
+                        }
+                    };
+                }
+
+                // Use setTimeout to ensure the node is fully initialized
+                setTimeout(() => {
+                    updatePromptDiff(self);
+                }, 100);
+
+                return r;
+            };
+        }
+    }
+});
+
+// --- SAVE WITH EDITED METADATA (SaveImageWithMetadataX) ---
+
+const LOADER_NODE_TYPES = ["LoadImageX", "OnlyLoadImagesWithMetadata"];
+const METADATA_PREVIEW_LENGTH = 2000; // Characters shown per chunk
+
+// Follow the images input upstream (through upscalers and the like) to the loader it came from
+function findUpstreamLoader(node) {
+    const visited = new Set();
+    let current = node;
+    while (current && !visited.has(current.id)) {
+        visited.add(current.id);
+        if (LOADER_NODE_TYPES.includes(current.type)) return current;
+        const slot = (current.inputs || []).findIndex(input => input.type === "IMAGE" && input.link != null);
+        current = slot >= 0 ? current.getInputNode(slot) : null;
+    }
+    return null;
+}
+
+// Replace every string that is exactly `original`; returns [new value, number of replacements]
+function replaceExactStrings(value, original, edited) {
+    if (value === original) return [edited, 1];
+    if (!value || typeof value !== "object") return [value, 0];
+    let count = 0;
+    const copy = Array.isArray(value) ? [] : {};
+    for (const [key, item] of Object.entries(value)) {
+        const [newItem, itemCount] = replaceExactStrings(item, original, edited);
+        copy[key] = newItem;
+        count += itemCount;
+    }
+    return [copy, count];
+}
+
+// The chunks of the loader's image, with the prompts edited in the loader written back into them.
+// Returns null when the images don't come from a loader with an image.
+function buildEditedMetadata(node) {
+    const loader = findUpstreamLoader(node);
+    const source = loader && loader.loadImageXSource;
+    if (!source || !source.metadata) return null;
+
+    const chunks = { ...source.metadata };
+    const warnings = [];
+    for (const [name, original] of [["positive_prompt", source.positive], ["negative_prompt", source.negative]]) {
+        const widget = loader.widgets.find(w => w.name === name);
+        if (!original || !widget || widget.value === original) continue;
+
+        let replaced = 0;
+        for (const [key, text] of Object.entries(chunks)) {
+            if (typeof text !== "string") continue;
+            let data = null;
+            try {
+                data = JSON.parse(cleanJSONString(text));
+            } catch (e) {
+                // Plain text chunk, like A1111's "parameters"
+            }
+            if (data && typeof data === "object") {
+                const [value, count] = replaceExactStrings(data, original, widget.value);
+                if (count > 0) chunks[key] = JSON.stringify(value);
+                replaced += count;
+            } else if (text.includes(original)) {
+                chunks[key] = text.replace(original, () => widget.value);
+                replaced++;
+            }
+        }
+        if (replaced === 0) {
+            warnings.push(`The edited ${name.replace("_", " ")} can't be written: the original text is assembled from several nodes.`);
+        }
+    }
+    return { chunks, warnings, loader };
+}
+
+// Ask the server which chunks it will write, after the privacy options, and show them
+async function updateMetadataPreview(node) {
+    const previewWidget = node.widgets.find(w => w.name === "metadata_preview");
+    const value = (name) => node.widgets.find(w => w.name === name)?.value;
+    if (!previewWidget) return;
+
+    // Only the latest preview may write its result
+    const request = node.metadataPreviewRequest = (node.metadataPreviewRequest || 0) + 1;
+    try {
+        const edited = buildEditedMetadata(node);
+        let chunks, origin;
+        if (edited) {
+            chunks = edited.chunks;
+            origin = `From the image in "${edited.loader.title}", with its edited prompts`;
+        } else {
+            const { output, workflow } = await app.graphToPrompt();
+            chunks = { prompt: output, workflow };
+            origin = "From the prompt and workflow of this run";
+        }
+
+        const res = await api.fetchApi("/loadimagex/scrub_metadata", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                chunks,
+                metadata: value("metadata"),
+                redact_paths: value("redact_paths"),
+                redact_loras: value("redact_loras")
+            })
+        });
+        if (!res.ok) throw new Error(`Failed to preview the metadata: ${res.status}`);
+        const scrubbed = (await res.json()).chunks;
+        if (request !== node.metadataPreviewRequest) return;
+
+        const lines = [origin, ...(edited ? edited.warnings : [])];
+        for (const key of new Set([...Object.keys(chunks), ...Object.keys(scrubbed)])) {
+            if (!(key in scrubbed)) {
+                lines.push("", `[${key}] not written`);
+                continue;
+            }
+            const text = scrubbed[key];
+            const more = text.length - METADATA_PREVIEW_LENGTH;
+            lines.push("", `[${key}] ${text.length} characters`, more > 0 ? `${text.slice(0, METADATA_PREVIEW_LENGTH)}... (${more} more)` : text);
+        }
+        if (Object.keys(scrubbed).length === 0) lines.push("", "No metadata will be written.");
+        previewWidget.value = lines.join("\n");
+    } catch (error) {
+        previewWidget.value = `Could not preview the metadata: ${error.message}`;
+        logError("[SaveImageWithMetadataX] Error previewing metadata:", error);
+    }
+}
+
+app.registerExtension({
+    name: "testt.SaveImageWithMetadataX",
+    async beforeRegisterNodeDef(nodeType, nodeData, app) {
+        if (nodeData.name === "SaveImageWithMetadataX") {
+            const onNodeCreated = nodeType.prototype.onNodeCreated;
+
+            nodeType.prototype.onNodeCreated = function() {
+                const r = onNodeCreated ? onNodeCreated.apply(this, arguments) : undefined;
+                const self = this;
+
+                // Filled in when the prompt is queued: the loader's chunks with its edited prompts
+                const editedWidget = this.widgets.find(w => w.name === "edited_metadata");
+                if (editedWidget) {
+                    editedWidget.hidden = true;
+                    editedWidget.computeSize = () => [0, -4];
+                    editedWidget.serializeValue = () => {
+                        const edited = buildEditedMetadata(self);
+                        return edited ? JSON.stringify(edited.chunks) : "";
+                    };
+                }
+
+                // Exactly what will be written, with the privacy options applied
+                this.addWidget("button", "preview metadata", null, () => updateMetadataPreview(self), { serialize: false });
+                if (this.addDOMWidget) {
+                    const element = document.createElement("textarea");
+                    element.readOnly = true;
+                    element.placeholder = "Click \"preview metadata\" to see the chunks that will be written";
+                    element.style.cssText = "font-size: 11px; font-family: monospace; width: 100%; min-height: 150px; resize: none;";
+                    this.addDOMWidget("metadata_preview", "loadimagex_preview", element, {
+                        serialize: false,
+                        getValue: () => element.value,
+                        setValue: (value) => { element.value = value; }
+                    });
+                }
+
+                for (const name of ["metadata", "redact_paths", "redact_loras"]) {
+                    const widget = this.widgets.find(w => w.name === name);
+                    if (!widget) continue;
+                    const originalCallback = widget.callback;
+                    widget.callback = function(value) {
+                        updateMetadataPreview(self);
+                        if (originalCallback) {
+                            return originalCallback.apply(this, arguments);
+                        }
+                    };
+                }
+
+                return r;
+            };
+        }
+    }
+});
+
+// --- BATCH ITERATOR (LoadImageBatchX) ---
+
+const BATCH_STRIP_SIZE = 9; // Thumbnails around the next index
+
+// Files the node will iterate over, fetched again when the folder settings change
+async function refreshBatchFiles(node) {
+    const value = (name) => node.widgets.find(w => w.name === name)?.value;
+    const query = `source=${value("source")}&subfolder=${encodeURIComponent(value("subfolder") || "")}&prompts_only=${value("missing_prompts") === "skip" ? 1 : 0}`;
+    try {
+        const res = await api.fetchApi(`/loadimagex/files?${query}`);
+        if (!res.ok) throw new Error(`Failed to list the batch images: ${res.status}`);
+        node.batchFiles = (await res.json()).files;
+    } catch (error) {
+        node.batchFiles = [];
+        logError("[LoadImageBatchX] Could not list the images:", error);
+    }
+    renderBatchStrip(node);
+}
+
+function renderBatchStrip(node) {
+    const element = node.batchElement;
+    if (!element) return;
+    const files = node.batchFiles || [];
+    const indexWidget = node.widgets.find(w => w.name === "index");
+    const status = document.createElement("div");
+    const strip = document.createElement("div");
+    strip.style.cssText = "display: flex; gap: 4px; overflow: hidden; margin-top: 4px;";
+
+    if (files.length === 0) {
+        status.textContent = "No images in this folder";
+        element.replaceChildren(status);
+        return;
+    }
+
+    const next = indexWidget.value % files.length;
+    const last = node.batchLastRun;
+    status.textContent = (last ? `Last run: ${last.index + 1} / ${last.count} (${last.filename})  ·  ` : "") +
+        `Next: ${next + 1} / ${files.length}`;
+
+    const first = Math.max(0, Math.min(next - Math.floor(BATCH_STRIP_SIZE / 2), files.length - BATCH_STRIP_SIZE));
+    files.slice(first, first + BATCH_STRIP_SIZE).forEach((name, offset) => {
+        const index = first + offset;
+        const img = createThumbnail(name, { title: `${index + 1}. ${name}` });
+        img.style.cssText = `width: 48px; height: 48px; object-fit: cover; cursor: pointer; border-radius: 3px; border: 2px solid ${index === next ? "#4caf50" : "transparent"};`;
+        img.addEventListener("click", () => {
+            indexWidget.value = index;
+            renderBatchStrip(node);
+            app.graph.setDirtyCanvas(true, true);
+        });
+        strip.append(img);
+    });
+    element.replaceChildren(status, strip);
+}
+
+app.registerExtension({
+    name: "testt.LoadImageBatchX",
+    async beforeRegisterNodeDef(nodeType, nodeData, app) {
+        if (nodeData.name === "LoadImageBatchX") {
+            const onNodeCreated = nodeType.prototype.onNodeCreated;
+
+            nodeType.prototype.onNodeCreated = function() {
+                const r = onNodeCreated ? onNodeCreated.apply(this, arguments) : undefined;
+                const self = this;
+
+                const indexWidget = this.widgets.find(w => w.name === "index");
+                if (!indexWidget) return r;
+
+                // Step through the folder on each queue (saved workflows restore their own choice)
+                const controlWidget = this.widgets.find(w => w.name === "control_after_generate");
+                if (controlWidget) controlWidget.value = "increment";
+
+                // Index, count and thumbnails of the images around the next one
+                if (this.addDOMWidget) {
+                    const element = document.createElement("div");
+                    element.style.cssText = "font-size: 11px;";
+                    this.addDOMWidget("batch_strip", "loadimagex_batch", element, { serialize: false });
+                    this.batchElement = element;
+                }
+
+                for (const name of ["source", "subfolder", "missing_prompts", "index"]) {
+                    const widget = this.widgets.find(w => w.name === name);
+                    if (!widget) continue;
+                    const originalCallback = widget.callback;
+                    widget.callback = function(value) {
+                        if (name === "index") {
+                            renderBatchStrip(self);
+                        } else {
+                            refreshBatchFiles(self);
+                        }
+                        if (originalCallback) {
+                            return originalCallback.apply(this, arguments);
+                        }
+                    };
+                }
+
+                // Use setTimeout to ensure the node is fully initialized
+                setTimeout(() => {
+                    refreshBatchFiles(self);
+                }, 100);
+
+                return r;
+            };
+
+            // The image that was actually loaded, and the index moved on by control_after_generate
+            const onExecuted = nodeType.prototype.onExecuted;
+            nodeType.prototype.onExecuted = function(message) {
+                const r = onExecuted ? onExecuted.apply(this, arguments) : undefined;
+                if (message && message.batch_index) {
+                    this.batchLastRun = {
+                        index: message.batch_index[0],
+                        count: message.batch_count[0],
+                        filename: message.batch_filename[0]
+                    };
+                    refreshBatchFiles(this);
+                }
+                return r;
+            };
+        }
+    }
+});
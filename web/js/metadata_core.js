@@ -0,0 +1,1475 @@
+// Metadata parsing and prompt extraction, shared by the ComfyUI extension (loadimagex.js) and the
+// loadimagex-inspect command line tool (bin/). A plain ES module without ComfyUI, DOM or Node.js
+// globals, so the browser and the CLI run exactly the same code.
+
+// node_rules.json is shared with the Python side. It is read at load time rather than imported
+// with an import attribute, which older browsers and Node.js versions can't even parse.
+async function loadNodeRules() {
+    const url = new URL("./node_rules.json", import.meta.url);
+    if (url.protocol === "file:") {
+        const { readFile } = await import("node:fs/promises");
+        return JSON.parse(await readFile(url, "utf8"));
+    }
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+    return response.json();
+}
+
+const NODE_RULES = await loadNodeRules();
+
+// Configuration option to enable/disable logging
+const ENABLE_LOGGING = false; // Set to true to enable all console logs
+
+// Helper function for conditional logging
+function log(message, style = "") {
+    if (ENABLE_LOGGING) {
+        if (style) {
+            console.log(message, style);
+        } else {
+            console.log(message);
+        }
+    }
+}
+
+function logError(message, error) {
+    if (ENABLE_LOGGING) {
+        console.error(message, error);
+    }
+}
+
+// Helper function to clean potential non-standard JSON from metadata
+function cleanJSONString(jsonString) {
+    if (!jsonString) return null;
+    
+    // Replace all NaN occurrences (standalone or in arrays)
+    return jsonString
+        .replace(/:\s*NaN/g, ': null')           // Handles: "key": NaN
+        .replace(/\[\s*NaN\s*\]/g, '[null]')     // Handles: [NaN]
+        .replace(/,\s*NaN\s*,/g, ', null,')      // Handles: [..., NaN, ...]
+        .replace(/,\s*NaN\s*\]/g, ', null]');    // Handles: [..., NaN]
+}
+
+// Inflate zlib-compressed data (zTXt / compressed iTXt) with DecompressionStream (browsers, Node 18+)
+async function inflateZlib(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// tEXt/zTXt are Latin-1 by spec, but plenty of tools write UTF-8 into them anyway
+function decodeLatin1OrUTF8(bytes) {
+    try {
+        return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    } catch (e) {
+        return new TextDecoder("latin1").decode(bytes);
+    }
+}
+
+// Decode one tEXt, zTXt or iTXt chunk into { keyword, value } following the PNG spec
+async function decodePNGTextChunk(chunkType, chunkData) {
+    const keywordEnd = chunkData.indexOf(0);
+    if (keywordEnd <= 0) return null;
+    const keyword = new TextDecoder("latin1").decode(chunkData.subarray(0, keywordEnd));
+
+    if (chunkType === "tEXt") {
+        return { keyword, value: decodeLatin1OrUTF8(chunkData.subarray(keywordEnd + 1)) };
+    }
+
+    if (chunkType === "zTXt") {
+        // keyword \0 compression method (0 = zlib) compressed text
+        if (chunkData[keywordEnd + 1] !== 0) return null;
+        const inflated = await inflateZlib(chunkData.subarray(keywordEnd + 2));
+        return { keyword, value: decodeLatin1OrUTF8(inflated) };
+    }
+
+    // iTXt: keyword \0 compression flag, compression method, language tag \0 translated keyword \0 text
+    const compressionFlag = chunkData[keywordEnd + 1];
+    const compressionMethod = chunkData[keywordEnd + 2];
+    const languageEnd = chunkData.indexOf(0, keywordEnd + 3);
+    if (languageEnd === -1) return null;
+    const translatedEnd = chunkData.indexOf(0, languageEnd + 1);
+    if (translatedEnd === -1) return null;
+
+    let textBytes = chunkData.subarray(translatedEnd + 1);
+    if (compressionFlag === 1) {
+        if (compressionMethod !== 0) return null;
+        textBytes = await inflateZlib(textBytes);
+    }
+    return { keyword, value: new TextDecoder("utf-8").decode(textBytes) };
+}
+
+// Self-contained function to parse metadata from a PNG file's raw data.
+async function parsePNGMetadata(arrayBuffer) {
+    const dataView = new DataView(arrayBuffer);
+    const metadata = {};
+
+    // Check for PNG signature
+    const pngSignature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+    if (dataView.byteLength < pngSignature.length) {
+        logError("[LoadImageX] Not a valid PNG file.");
+        return null;
+    }
+    for (let i = 0; i < 8; i++) {
+        if (dataView.getUint8(i) !== pngSignature[i]) {
+            logError("[LoadImageX] Not a valid PNG file.");
+            return null;
+        }
+    }
+
+    let offset = 8;
+    // Every chunk is length (4) + type (4) + data (length) + CRC (4)
+    while (offset + 8 <= dataView.byteLength) {
+        const length = dataView.getUint32(offset);
+        const chunkType = String.fromCharCode(
+            dataView.getUint8(offset + 4), dataView.getUint8(offset + 5),
+            dataView.getUint8(offset + 6), dataView.getUint8(offset + 7)
+        );
+        const dataStart = offset + 8;
+        if (dataStart + length + 4 > dataView.byteLength) {
+            logError(`[LoadImageX] Truncated PNG: ${chunkType} chunk runs past the end of the file.`);
+            break;
+        }
+
+        // ComfyUI's SaveAnimatedPNG writes "comf" chunks (keyword \0 text, like tEXt) after the frames
+        if (chunkType === 'tEXt' || chunkType === 'zTXt' || chunkType === 'iTXt' || chunkType === 'comf') {
+            const chunkData = new Uint8Array(arrayBuffer, dataStart, length);
+            try {
+                const entry = await decodePNGTextChunk(chunkType === 'comf' ? 'tEXt' : chunkType, chunkData);
+                if (entry) metadata[entry.keyword] = entry.value;
+            } catch (error) {
+                logError(`[LoadImageX] Could not decode ${chunkType} chunk:`, error);
+            }
+        }
+
+        offset = dataStart + length + 4; // Skip data and CRC
+        if (chunkType === 'IEND') break;
+    }
+    return metadata;
+}
+
+// Keys we care about, in the same spelling ComfyUI and A1111 use for PNG text chunks
+const METADATA_KEYS = ["prompt", "workflow", "parameters"];
+
+// Store a piece of text found in EXIF/XMP/COM under the right metadata key.
+// ComfyUI writes "prompt:{...}" / "workflow:{...}", A1111 writes plain "parameters" text,
+// and some savers dump the API prompt or UI workflow JSON without any prefix.
+function assignMetadataText(metadata, text) {
+    if (!text) return;
+    text = text.replace(/\0+$/, "").trim();
+    if (!text) return;
+
+    const prefixMatch = text.match(/^([A-Za-z_]+):\s*([\[{][\s\S]*)$/);
+    if (prefixMatch) {
+        metadata[prefixMatch[1]] = prefixMatch[2];
+        return;
+    }
+
+    if (text.startsWith("{")) {
+        try {
+            const data = JSON.parse(cleanJSONString(text));
+            if (data && typeof data === "object") {
+                // Wrapper object holding the usual keys
+                const wrappedKeys = METADATA_KEYS.filter(key => data[key] !== undefined);
+                if (wrappedKeys.length > 0) {
+                    for (const key of wrappedKeys) {
+                        const value = data[key];
+                        metadata[key] = typeof value === "string" ? value : JSON.stringify(value);
+                    }
+                    return;
+                }
+                // UI workflow (LiteGraph format)
+                if (Array.isArray(data.nodes)) {
+                    if (!metadata.workflow) metadata.workflow = text;
+                    return;
+                }
+                // API prompt (node id -> { class_type, inputs })
+                if (Object.values(data).some(n => n && typeof n === "object" && n.class_type)) {
+                    if (!metadata.prompt) metadata.prompt = text;
+                    return;
+                }
+            }
+        } catch (e) {
+            logError("[LoadImageX] Embedded JSON could not be parsed:", e);
+        }
+    }
+
+    if (!metadata.parameters) metadata.parameters = text;
+}
+
+// Decode an EXIF UserComment, which starts with an 8-byte character code
+function decodeUserComment(bytes) {
+    if (bytes.length < 8) return "";
+    const header = String.fromCharCode(...bytes.subarray(0, 8)).replace(/\0+$/, "");
+    const body = bytes.subarray(8);
+
+    if (header === "UNICODE") {
+        // The spec follows the TIFF byte order, but most writers (piexif, A1111) use big-endian
+        // regardless, so guess from where the zero bytes of ASCII characters land.
+        let evenZeros = 0, oddZeros = 0;
+        for (let i = 0; i + 1 < Math.min(body.length, 200); i += 2) {
+            if (body[i] === 0) evenZeros++;
+            if (body[i + 1] === 0) oddZeros++;
+        }
+        return new TextDecoder(evenZeros >= oddZeros ? "utf-16be" : "utf-16le").decode(body);
+    }
+    return new TextDecoder("utf-8").decode(body);
+}
+
+// Parse a TIFF-structured EXIF block (IFD0 + Exif sub-IFD) for text tags
+function parseEXIFMetadata(bytes, metadata) {
+    // Some containers keep the "Exif\0\0" identifier in front of the TIFF header
+    if (bytes.length >= 6 && String.fromCharCode(...bytes.subarray(0, 4)) === "Exif") {
+        bytes = bytes.subarray(6);
+    }
+    if (bytes.length < 8) return;
+
+    const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const byteOrder = String.fromCharCode(bytes[0], bytes[1]);
+    if (byteOrder !== "II" && byteOrder !== "MM") return;
+    const littleEndian = byteOrder === "II";
+
+    const TAG_IMAGE_DESCRIPTION = 0x010e;
+    const TAG_MAKE = 0x010f;
+    const TAG_MODEL = 0x0110;
+    const TAG_EXIF_IFD = 0x8769;
+    const TAG_USER_COMMENT = 0x9286;
+    const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+    const readIFD = (ifdOffset, visited) => {
+        if (visited.has(ifdOffset) || ifdOffset + 2 > bytes.length) return;
+        visited.add(ifdOffset);
+
+        const entryCount = dataView.getUint16(ifdOffset, littleEndian);
+        for (let i = 0; i < entryCount; i++) {
+            const entryOffset = ifdOffset + 2 + i * 12;
+            if (entryOffset + 12 > bytes.length) return;
+
+            const tag = dataView.getUint16(entryOffset, littleEndian);
+            const type = dataView.getUint16(entryOffset + 2, littleEndian);
+            const count = dataView.getUint32(entryOffset + 4, littleEndian);
+            const size = (TYPE_SIZES[type] || 1) * count;
+            const valueOffset = size > 4 ? dataView.getUint32(entryOffset + 8, littleEndian) : entryOffset + 8;
+            if (valueOffset + size > bytes.length) continue;
+            const value = bytes.subarray(valueOffset, valueOffset + size);
+
+            if (tag === TAG_EXIF_IFD) {
+                readIFD(dataView.getUint32(entryOffset + 8, littleEndian), visited);
+            } else if (tag === TAG_USER_COMMENT) {
+                assignMetadataText(metadata, decodeUserComment(value));
+            } else if ((tag === TAG_IMAGE_DESCRIPTION || tag === TAG_MAKE || tag === TAG_MODEL) && type === 2) {
+                // ComfyUI's WebP/JPEG savers put "workflow:..." in Make and "prompt:..." in Model
+                const text = new TextDecoder("utf-8").decode(value);
+                if (/^[A-Za-z_]+:\s*[\[{]/.test(text)) assignMetadataText(metadata, text);
+            }
+        }
+    };
+
+    readIFD(dataView.getUint32(4, littleEndian), new Set());
+}
+
+// Pull prompt/workflow/parameters out of an XMP packet. Deliberately regex-based:
+// XMP writers disagree on attribute vs element form, and we don't need a full RDF parser.
+function parseXMPMetadata(xmp, metadata) {
+    const decodeEntities = (s) => s
+        .replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&amp;/g, "&");
+
+    const findValue = (name) => {
+        const attribute = xmp.match(new RegExp(`(?:\\w+:)?${name}\\s*=\\s*"([^"]*)"`, "i"));
+        if (attribute) return decodeEntities(attribute[1]);
+        const element = xmp.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`, "i"));
+        if (!element) return null;
+        // Language alternatives and sequences wrap the text in <rdf:li>
+        const listItem = element[1].match(/<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/);
+        return decodeEntities((listItem ? listItem[1] : element[1]).trim());
+    };
+
+    for (const key of METADATA_KEYS) {
+        const value = findValue(key);
+        if (value && !metadata[key]) metadata[key] = value;
+    }
+    if (!metadata.prompt && !metadata.workflow && !metadata.parameters) {
+        assignMetadataText(metadata, findValue("UserComment") || findValue("description"));
+    }
+}
+
+// Parse metadata from a JPEG file's APP1 (EXIF, XMP) and COM segments
+function parseJPEGMetadata(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const dataView = new DataView(arrayBuffer);
+    const metadata = {};
+
+    if (bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+        logError("[LoadImageX] Not a valid JPEG file.");
+        return null;
+    }
+
+    const XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+    let offset = 2;
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) break;
+        const marker = bytes[offset + 1];
+        // Fill bytes and standalone markers carry no length
+        if (marker === 0xFF) { offset++; continue; }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { offset += 2; continue; }
+        // Start of scan / end of image: no more metadata segments
+        if (marker === 0xDA || marker === 0xD9) break;
+
+        const length = dataView.getUint16(offset + 2);
+        const segmentStart = offset + 4;
+        const segmentEnd = offset + 2 + length;
+        if (length < 2 || segmentEnd > bytes.length) break;
+        const segment = bytes.subarray(segmentStart, segmentEnd);
+
+        if (marker === 0xE1) {
+            const header = String.fromCharCode(...segment.subarray(0, Math.min(segment.length, XMP_HEADER.length)));
+            if (header.startsWith("Exif\0")) {
+                parseEXIFMetadata(segment, metadata);
+            } else if (header === XMP_HEADER) {
+                parseXMPMetadata(new TextDecoder("utf-8").decode(segment.subarray(XMP_HEADER.length)), metadata);
+            }
+        } else if (marker === 0xFE) {
+            assignMetadataText(metadata, new TextDecoder("utf-8").decode(segment));
+        }
+
+        offset = segmentEnd;
+    }
+    return metadata;
+}
+
+// Parse metadata from a WebP file's RIFF "EXIF" and "XMP " chunks
+function parseWebPMetadata(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const dataView = new DataView(arrayBuffer);
+    const metadata = {};
+
+    const fourCC = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (bytes.length < 12 || fourCC(0) !== "RIFF" || fourCC(8) !== "WEBP") {
+        logError("[LoadImageX] Not a valid WebP file.");
+        return null;
+    }
+
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const chunkType = fourCC(offset);
+        const length = dataView.getUint32(offset + 4, true);
+        const dataStart = offset + 8;
+        if (dataStart + length > bytes.length) break;
+        const chunkData = bytes.subarray(dataStart, dataStart + length);
+
+        if (chunkType === "EXIF") {
+            parseEXIFMetadata(chunkData, metadata);
+        } else if (chunkType === "XMP ") {
+            parseXMPMetadata(new TextDecoder("utf-8").decode(chunkData), metadata);
+        }
+
+        offset = dataStart + length + (length % 2); // Chunks are padded to an even size
+    }
+    return metadata;
+}
+
+// Store a video container tag: prompt/workflow tags as they are, comments like the EXIF texts
+function assignVideoTag(metadata, name, value) {
+    name = name.toLowerCase().split(".").pop(); // "com.apple.quicktime.comment" -> "comment"
+    if (METADATA_KEYS.includes(name)) {
+        if (metadata[name] === undefined) metadata[name] = value;
+    } else if (name === "comment" || name === "description") {
+        // VideoHelperSuite writes {"prompt": ..., "workflow": ...} into the comment
+        assignMetadataText(metadata, value);
+    }
+}
+
+// iTunes-style item names and QuickTime user data texts
+const MP4_ITEM_NAMES = { "©cmt": "comment", "desc": "description", "©des": "description" };
+
+// Parse an MP4/MOV file's ilst items (including the "mdta" keys ComfyUI's SaveVideo writes)
+// and QuickTime user data texts
+function parseMP4Metadata(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const dataView = new DataView(arrayBuffer);
+    const metadata = {};
+    const decoder = new TextDecoder("utf-8");
+
+    const fourCC = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (bytes.length < 8 || fourCC(4) !== "ftyp") {
+        logError("[LoadImageX] Not a valid MP4 file.");
+        return null;
+    }
+
+    // Boxes are size (4) + type (4) + body; size 1 means a 64-bit size follows, 0 "to the end"
+    function* boxes(start, end) {
+        let offset = start;
+        while (offset + 8 <= end) {
+            let size = dataView.getUint32(offset);
+            let headerSize = 8;
+            if (size === 1) {
+                if (offset + 16 > end) return;
+                size = Number(dataView.getBigUint64(offset + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < headerSize || offset + size > end) return;
+            yield { type: fourCC(offset + 4), bodyStart: offset + headerSize, end: offset + size };
+            offset += size;
+        }
+    }
+
+    // Text values of an ilst item's "data" boxes (type indicator 1 = UTF-8)
+    const itemValues = (item) => [...boxes(item.bodyStart, item.end)]
+        .filter(box => box.type === "data" && box.end - box.bodyStart >= 8 && dataView.getUint32(box.bodyStart) === 1)
+        .map(box => decoder.decode(bytes.subarray(box.bodyStart + 8, box.end)));
+
+    function readMeta(start, end) {
+        // ISO "meta" is a full box (version and flags first), QuickTime's is not
+        if (start + 8 <= end && fourCC(start + 4) !== "hdlr") start += 4;
+        const keys = [];
+        const items = [];
+        for (const box of boxes(start, end)) {
+            if (box.type === "keys") {
+                // version/flags, count, then (size, namespace, name) entries
+                for (const entry of boxes(box.bodyStart + 8, box.end)) {
+                    keys.push(decoder.decode(bytes.subarray(entry.bodyStart, entry.end)));
+                }
+            } else if (box.type === "ilst") {
+                items.push(...boxes(box.bodyStart, box.end));
+            }
+        }
+        for (const item of items) {
+            // Items of an "mdta" meta are named by their 1-based index into "keys"
+            const index = dataView.getUint32(item.bodyStart - 4);
+            const name = index > 0 && index <= keys.length ? keys[index - 1] : MP4_ITEM_NAMES[item.type];
+            if (name) itemValues(item).forEach(value => assignVideoTag(metadata, name, value));
+        }
+    }
+
+    function readBoxes(start, end, parent = null) {
+        for (const box of boxes(start, end)) {
+            if (box.type === "moov" || box.type === "udta") {
+                readBoxes(box.bodyStart, box.end, box.type);
+            } else if (box.type === "meta") {
+                readMeta(box.bodyStart, box.end);
+            } else if (parent === "udta" && MP4_ITEM_NAMES[box.type] && box.end - box.bodyStart > 4) {
+                // QuickTime text: length (2), language (2), text
+                const length = dataView.getUint16(box.bodyStart);
+                const textStart = box.bodyStart + 4;
+                assignVideoTag(metadata, MP4_ITEM_NAMES[box.type],
+                    decoder.decode(bytes.subarray(textStart, Math.min(textStart + length, box.end))));
+            }
+        }
+    }
+
+    readBoxes(0, bytes.length);
+    return metadata;
+}
+
+const EBML_MAGIC = [0x1A, 0x45, 0xDF, 0xA3];
+const MKV_IDS = {
+    segment: 0x18538067, tags: 0x1254C367, tag: 0x7373, simpleTag: 0x67C8,
+    tagName: 0x45A3, tagString: 0x4487
+};
+
+// An EBML variable-size integer: { value, length }, value null for an unknown size
+function readEBMLNumber(bytes, offset, keepMarker) {
+    if (offset >= bytes.length || bytes[offset] === 0) return { value: null, length: 0 };
+    const length = Math.clz32(bytes[offset]) - 23;
+    if (offset + length > bytes.length) return { value: null, length: 0 };
+    let value = keepMarker ? bytes[offset] : bytes[offset] & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[offset + i];
+        allOnes = allOnes && bytes[offset + i] === 0xFF;
+    }
+    return { value: !keepMarker && allOnes ? null : value, length };
+}
+
+// Parse a Matroska/WebM file's SimpleTags; ffmpeg writes tag names in upper case ("COMMENT", "PROMPT")
+function parseMatroskaMetadata(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const metadata = {};
+    const decoder = new TextDecoder("utf-8");
+
+    if (bytes.length < 4 || EBML_MAGIC.some((byte, i) => bytes[i] !== byte)) {
+        logError("[LoadImageX] Not a valid Matroska file.");
+        return null;
+    }
+
+    // Elements are ID + size + body; an unknown size (live streams) can only be walked into
+    function* elements(start, end) {
+        let offset = start;
+        while (offset < end) {
+            const id = readEBMLNumber(bytes, offset, true);
+            const size = readEBMLNumber(bytes, offset + id.length, false);
+            if (!id.length || !size.length) return;
+            const bodyStart = offset + id.length + size.length;
+            const bodyEnd = size.value === null ? null : Math.min(bodyStart + size.value, end);
+            yield { id: id.value, bodyStart, end: bodyEnd };
+            if (bodyEnd === null) return;
+            offset = bodyEnd;
+        }
+    }
+
+    function readSimpleTag(start, end) {
+        let name = null;
+        let value = null;
+        for (const element of elements(start, end)) {
+            if (element.end === null) return;
+            if (element.id === MKV_IDS.tagName) {
+                name = decoder.decode(bytes.subarray(element.bodyStart, element.end));
+            } else if (element.id === MKV_IDS.tagString) {
+                value = decoder.decode(bytes.subarray(element.bodyStart, element.end));
+            } else if (element.id === MKV_IDS.simpleTag) {
+                readSimpleTag(element.bodyStart, element.end);
+            }
+        }
+        if (name && value) assignVideoTag(metadata, name, value);
+    }
+
+    // Walk the top level and the Segment, reading only the Tags elements
+    let start = 0;
+    let end = bytes.length;
+    let descended = true;
+    while (descended) {
+        descended = false;
+        for (const element of elements(start, end)) {
+            if (element.id === MKV_IDS.segment) {
+                start = element.bodyStart;
+                end = element.end === null ? end : element.end;
+                descended = true;
+                break;
+            }
+            if (element.id !== MKV_IDS.tags || element.end === null) continue;
+            for (const tag of elements(element.bodyStart, element.end)) {
+                if (tag.id !== MKV_IDS.tag || tag.end === null) continue;
+                for (const simpleTag of elements(tag.bodyStart, tag.end)) {
+                    if (simpleTag.id === MKV_IDS.simpleTag && simpleTag.end !== null) {
+                        readSimpleTag(simpleTag.bodyStart, simpleTag.end);
+                    }
+                }
+            }
+        }
+    }
+    return metadata;
+}
+
+// Pick the right metadata reader from the file's magic bytes
+async function parseImageMetadata(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 12));
+    if (bytes.length >= 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+        return parsePNGMetadata(arrayBuffer);
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        return parseJPEGMetadata(arrayBuffer);
+    }
+    if (bytes.length >= 12 && String.fromCharCode(...bytes.subarray(0, 4)) === "RIFF" &&
+        String.fromCharCode(...bytes.subarray(8, 12)) === "WEBP") {
+        return parseWebPMetadata(arrayBuffer);
+    }
+    if (bytes.length >= 8 && String.fromCharCode(...bytes.subarray(4, 8)) === "ftyp") {
+        return parseMP4Metadata(arrayBuffer);
+    }
+    if (bytes.length >= 4 && EBML_MAGIC.every((byte, i) => bytes[i] === byte)) {
+        return parseMatroskaMetadata(arrayBuffer);
+    }
+    logError("[LoadImageX] Unsupported image format.");
+    return null;
+}
+
+// Inputs that hold a literal value on primitive/converter nodes (rgthree Seed, PrimitiveInt, Int Literal, ...)
+const VALUE_INPUT_KEYS = ["value", "seed", "noise_seed", "int", "float", "number", "Number", "string", "text"];
+
+// Resolve a sampler input to its literal value, following links through primitive and converter nodes
+function resolveInputValue(value, workflow, keys, visited = new Set()) {
+    if (!Array.isArray(value)) return value;
+
+    const nodeId = String(value[0]);
+    if (visited.has(nodeId)) return undefined;
+    visited.add(nodeId);
+
+    const node = workflow[nodeId];
+    if (!node || !node.inputs) return undefined;
+
+    for (const key of [...keys, ...VALUE_INPUT_KEYS]) {
+        if (node.inputs[key] !== undefined) {
+            return resolveInputValue(node.inputs[key], workflow, keys, visited);
+        }
+    }
+
+    // Converters (Int to Float, String to Int, ...) usually have a single input: follow it
+    const inputValues = Object.values(node.inputs);
+    if (inputValues.length === 1) {
+        return resolveInputValue(inputValues[0], workflow, keys, visited);
+    }
+    return undefined;
+}
+
+function isSamplerNode(node) {
+    if (!node || !node.inputs) return false;
+    // KSampler, SamplerCustom(Advanced), FaceDetailer, Ultimate SD Upscale, ...: conditioning in, sampling params on it
+    const hasConditioning = [...PROMPT_INPUT_PATTERNS.positive, ...PROMPT_INPUT_PATTERNS.negative]
+        .some(name => Array.isArray(node.inputs[name]));
+    const hasSamplingInputs = NODE_RULES.sampling_inputs.some(name => name in node.inputs);
+    return hasConditioning && hasSamplingInputs;
+}
+
+// Find the sampler that produced the saved image by walking back from the SaveImage node
+function findSamplerNode(workflow) {
+    const outputNodeIds = Object.keys(workflow).filter(nodeId => {
+        const node = workflow[nodeId];
+        return node && node.inputs && Array.isArray(node.inputs.images) && /save/i.test(node.class_type || "");
+    });
+
+    for (const outputNodeId of outputNodeIds) {
+        const queue = [outputNodeId];
+        const visited = new Set(queue);
+        while (queue.length > 0) {
+            const nodeId = queue.shift();
+            const node = workflow[nodeId];
+            if (nodeId !== outputNodeId && isSamplerNode(node)) return nodeId;
+            if (!node || !node.inputs) continue;
+
+            for (const input of Object.values(node.inputs)) {
+                if (Array.isArray(input) && !visited.has(String(input[0]))) {
+                    visited.add(String(input[0]));
+                    queue.push(String(input[0]));
+                }
+            }
+        }
+    }
+
+    // No SaveImage node (or not connected): take the first sampler in the graph
+    return Object.keys(workflow).find(nodeId => isSamplerNode(workflow[nodeId])) || null;
+}
+
+// Breadth-first search from a node along the given inputs for the first node that has one of `keys`
+function findInputUpstream(workflow, startNodeId, followInputs, keys) {
+    const queue = [String(startNodeId)];
+    const visited = new Set(queue);
+    while (queue.length > 0) {
+        const node = workflow[queue.shift()];
+        if (!node || !node.inputs) continue;
+
+        for (const key of keys) {
+            if (node.inputs[key] !== undefined) {
+                const value = resolveInputValue(node.inputs[key], workflow, keys);
+                if (value !== undefined && value !== null && value !== "") return value;
+            }
+        }
+
+        for (const inputName of followInputs) {
+            const input = node.inputs[inputName];
+            if (Array.isArray(input) && !visited.has(String(input[0]))) {
+                visited.add(String(input[0]));
+                queue.push(String(input[0]));
+            }
+        }
+    }
+    return undefined;
+}
+
+// Collect seed/steps/cfg/sampler/scheduler/denoise/model/size from the sampler that made the image.
+// SamplerCustomAdvanced keeps these on its noise/guider/sampler/sigmas nodes, so we look there too.
+function extractSettingsFromWorkflow(workflow, samplerNodeId = findSamplerNode(workflow)) {
+    const settings = {};
+    if (!workflow || !samplerNodeId) return settings;
+
+    const SAMPLER_INPUTS = ["noise", "guider", "sampler", "sigmas"];
+    const MODEL_INPUTS = ["model", "guider", "base_model"];
+    const LATENT_INPUTS = ["latent_image", "latent", "samples", "pixels"];
+
+    const lookups = {
+        seed: [SAMPLER_INPUTS, ["seed", "noise_seed"]],
+        steps: [SAMPLER_INPUTS, ["steps"]],
+        cfg: [SAMPLER_INPUTS, ["cfg"]],
+        sampler_name: [SAMPLER_INPUTS, ["sampler_name"]],
+        scheduler: [SAMPLER_INPUTS, ["scheduler"]],
+        denoise: [SAMPLER_INPUTS, ["denoise"]],
+        model: [MODEL_INPUTS, ["ckpt_name", "unet_name"]],
+        width: [LATENT_INPUTS, ["width"]],
+        height: [LATENT_INPUTS, ["height"]]
+    };
+
+    for (const [name, [followInputs, keys]] of Object.entries(lookups)) {
+        const value = findInputUpstream(workflow, samplerNodeId, followInputs, keys);
+        if (value !== undefined) settings[name] = value;
+    }
+    return settings;
+}
+
+// A1111 sampler/scheduler labels mapped to ComfyUI's names, so the outputs can drive a KSampler
+const A1111_SAMPLERS = {
+    "euler": "euler", "euler a": "euler_ancestral", "heun": "heun", "lms": "lms",
+    "dpm2": "dpm_2", "dpm2 a": "dpm_2_ancestral", "dpm fast": "dpm_fast", "dpm adaptive": "dpm_adaptive",
+    "dpm++ 2s a": "dpmpp_2s_ancestral", "dpm++ sde": "dpmpp_sde", "dpm++ 2m": "dpmpp_2m",
+    "dpm++ 2m sde": "dpmpp_2m_sde", "dpm++ 3m sde": "dpmpp_3m_sde", "ddim": "ddim",
+    "unipc": "uni_pc", "lcm": "lcm", "ddpm": "ddpm"
+};
+const A1111_SCHEDULERS = {
+    "automatic": "normal", "normal": "normal", "karras": "karras", "exponential": "exponential",
+    "sgm uniform": "sgm_uniform", "simple": "simple", "ddim": "ddim_uniform", "beta": "beta"
+};
+
+// Convert parsed A1111 "parameters" settings into the same shape extractSettingsFromWorkflow returns
+function normalizeA1111Settings(raw) {
+    const settings = {};
+    if (!raw) return settings;
+
+    const toNumber = (value) => {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : undefined;
+    };
+
+    if (raw.Seed !== undefined) settings.seed = toNumber(raw.Seed);
+    if (raw.Steps !== undefined) settings.steps = toNumber(raw.Steps);
+    if (raw["CFG scale"] !== undefined) settings.cfg = toNumber(raw["CFG scale"]);
+    if (raw["Denoising strength"] !== undefined) settings.denoise = toNumber(raw["Denoising strength"]);
+    if (raw.Model !== undefined) settings.model = String(raw.Model);
+
+    if (raw.Sampler !== undefined) {
+        let sampler = String(raw.Sampler).trim().toLowerCase();
+        // Older versions fold the scheduler into the sampler name ("DPM++ 2M Karras")
+        for (const scheduler of ["karras", "exponential"]) {
+            if (sampler.endsWith(" " + scheduler)) {
+                sampler = sampler.slice(0, -scheduler.length - 1);
+                settings.scheduler = scheduler;
+            }
+        }
+        settings.sampler_name = A1111_SAMPLERS[sampler] || raw.Sampler;
+    }
+    if (raw["Schedule type"] !== undefined) {
+        const scheduler = String(raw["Schedule type"]).trim().toLowerCase();
+        settings.scheduler = A1111_SCHEDULERS[scheduler] || raw["Schedule type"];
+    }
+
+    const size = String(raw.Size || "").match(/^(\d+)\s*x\s*(\d+)$/);
+    if (size) {
+        settings.width = Number(size[1]);
+        settings.height = Number(size[2]);
+    }
+
+    for (const key of Object.keys(settings)) {
+        if (settings[key] === undefined) delete settings[key];
+    }
+    return settings;
+}
+
+// Order of the lines in the generation_settings widget (parsed back by the Python node)
+const SETTINGS_ORDER = ["seed", "steps", "cfg", "sampler_name", "scheduler", "denoise", "model", "width", "height"];
+
+function formatSettings(settings) {
+    return SETTINGS_ORDER
+        .filter(key => settings && settings[key] !== undefined && settings[key] !== null && settings[key] !== "")
+        .map(key => `${key}: ${settings[key]}`)
+        .join("\n");
+}
+
+// Collect every LoRA applied in the prompt graph: LoraLoader/LoraLoaderModelOnly style nodes,
+// numbered stackers (CR LoRA Stack, LoRA Stacker) and rgthree Power Lora Loader's lora_N objects
+function extractLorasFromWorkflow(workflow) {
+    const loras = [];
+    if (!workflow) return loras;
+
+    const numberOrUndefined = (value) => {
+        const number = Number(resolveInputValue(value, workflow, []));
+        return Number.isFinite(number) ? number : undefined;
+    };
+    const addLora = (name, strengthModel, strengthClip) => {
+        name = resolveInputValue(name, workflow, ["lora_name"]);
+        if (!name || typeof name !== "string" || name === "None") return;
+        loras.push({ name, strength_model: numberOrUndefined(strengthModel), strength_clip: numberOrUndefined(strengthClip) });
+    };
+
+    for (const nodeId in workflow) {
+        const inputs = workflow[nodeId] && workflow[nodeId].inputs;
+        if (!inputs) continue;
+
+        if (inputs.lora_name !== undefined) {
+            addLora(inputs.lora_name,
+                inputs.strength_model ?? inputs.strength ?? inputs.lora_strength,
+                inputs.strength_clip ?? inputs.clip_strength);
+        }
+
+        for (const [key, value] of Object.entries(inputs)) {
+            // Power Lora Loader (rgthree)
+            if (/^lora_\d+$/.test(key) && value && typeof value === "object" && !Array.isArray(value)) {
+                if (value.on === false) continue;
+                addLora(value.lora, value.strength, value.strengthTwo ?? value.strength);
+            }
+
+            // CR LoRA Stack / Efficiency LoRA Stacker
+            const stacked = key.match(/^lora_name_(\d+)$/);
+            if (stacked) {
+                const n = stacked[1];
+                if (inputs[`switch_${n}`] === "Off") continue;
+                addLora(value,
+                    inputs[`model_weight_${n}`] ?? inputs[`model_str_${n}`] ?? inputs[`lora_wt_${n}`],
+                    inputs[`clip_weight_${n}`] ?? inputs[`clip_str_${n}`] ?? inputs[`lora_wt_${n}`]);
+            }
+        }
+    }
+    return loras;
+}
+
+// A1111/Forge put LoRAs in the prompt itself: <lora:name:0.8> or <lora:name:0.8:0.5>
+function extractLorasFromPromptText(text) {
+    const loras = [];
+    for (const match of (text || "").matchAll(/<(?:lora|lyco):([^:>]+)(?::([\d.+-]+))?(?::([\d.+-]+))?>/gi)) {
+        const strengthModel = match[2] !== undefined ? Number(match[2]) : 1;
+        const strengthClip = match[3] !== undefined ? Number(match[3]) : strengthModel;
+        loras.push({ name: match[1].trim(), strength_model: strengthModel, strength_clip: strengthClip });
+    }
+    return loras;
+}
+
+// ComfyUI's "embedding:name" tokens, optionally weighted as (embedding:name:1.2)
+function extractEmbeddingsFromText(...texts) {
+    const embeddings = new Set();
+    for (const text of texts) {
+        for (const match of (text || "").matchAll(/embedding:([^\s,()\[\]:]+)/gi)) {
+            embeddings.add(match[1]);
+        }
+    }
+    return [...embeddings];
+}
+
+// Sampler inputs that carry the positive/negative conditioning
+// ('guider' for SamplerCustomAdvanced/Flux workflows)
+const PROMPT_INPUT_PATTERNS = NODE_RULES.prompt_inputs;
+
+// Node ids in execution order: a node always comes after the nodes feeding its inputs
+function getExecutionOrder(workflow) {
+    const byId = (a, b) => (Number(a) - Number(b)) || String(a).localeCompare(String(b));
+    const dependencies = {};
+    for (const nodeId in workflow) {
+        const inputs = (workflow[nodeId] && workflow[nodeId].inputs) || {};
+        dependencies[nodeId] = new Set(Object.values(inputs)
+            .filter(input => Array.isArray(input) && String(input[0]) in workflow)
+            .map(input => String(input[0])));
+    }
+
+    const order = [];
+    const done = new Set();
+    let ready = Object.keys(workflow).filter(nodeId => dependencies[nodeId].size === 0).sort(byId);
+    while (ready.length > 0) {
+        const nodeId = ready.shift();
+        order.push(nodeId);
+        done.add(nodeId);
+        for (const other in dependencies) {
+            if (done.has(other) || ready.includes(other)) continue;
+            if ([...dependencies[other]].every(dependency => done.has(dependency))) ready.push(other);
+        }
+        ready.sort(byId);
+    }
+    // Cycles can't execute, but keep their nodes rather than dropping them
+    return order.concat(Object.keys(workflow).filter(nodeId => !done.has(nodeId)).sort(byId));
+}
+
+// Follow a sampler's conditioning input to its text. Nodes such as ControlNetApplyAdvanced
+// carry both sides, so stay on the same side (positive/negative) while passing through them.
+function extractConditioningText(workflow, link, side) {
+    let nodeId = String(link[0]);
+    const visited = new Set();
+    while (workflow[nodeId] && !visited.has(nodeId)) {
+        visited.add(nodeId);
+        const input = workflow[nodeId].inputs && workflow[nodeId].inputs[side];
+        if (!Array.isArray(input)) break;
+        nodeId = String(input[0]);
+    }
+    const textVisited = new Set();
+    const suppliers = [];
+    const text = extractTextFromNode(nodeId, textVisited, workflow, suppliers);
+    return { nodeId, text, path: [...new Set([...visited, ...textVisited])], suppliers };
+}
+
+// Where a prompt came from: the strategy that found it, the node its text was read from (the first
+// of the nodes that supplied text, e.g. one encoder of a ConditioningCombine, else `nodeId`), all of
+// those suppliers and every node on the way, so misdetections can be traced back
+function describePromptSource(workflow, strategy, nodeId, path = [], suppliers = []) {
+    const describe = (id) => ({
+        nodeId: String(id),
+        class_type: workflow[id]?.class_type || "",
+        title: workflow[id]?._meta?.title || workflow[id]?.class_type || ""
+    });
+    return {
+        strategy,
+        ...describe(suppliers.length > 0 ? suppliers[0] : nodeId),
+        path: path.map(describe),
+        suppliers: (suppliers.length > 0 ? suppliers : [nodeId]).map(describe)
+    };
+}
+
+// Every sampling pass (base, hires fix, refiner, detailer, ...) with its own prompt pair,
+// in execution order
+function findSamplerPasses(workflow) {
+    const passes = [];
+    if (!workflow) return passes;
+
+    for (const nodeId of getExecutionOrder(workflow)) {
+        const node = workflow[nodeId];
+        if (!isSamplerNode(node)) continue;
+
+        const pass = {
+            nodeId,
+            class_type: node.class_type,
+            title: node._meta?.title || node.class_type,
+            positive: "", negative: "",
+            positiveNodeId: null, negativeNodeId: null,
+            sources: { positive: null, negative: null }
+        };
+        for (const side of ["positive", "negative"]) {
+            const pattern = PROMPT_INPUT_PATTERNS[side].find(name => Array.isArray(node.inputs[name]));
+            if (!pattern) continue;
+            try {
+                const { nodeId: textNodeId, text, path, suppliers } = extractConditioningText(workflow, node.inputs[pattern], side);
+                pass[side] = text;
+                pass[side + "NodeId"] = textNodeId;
+                pass.sources[side] = describePromptSource(workflow, "sampler graph", textNodeId, [nodeId, ...path], suppliers);
+            } catch (error) {
+                logError(`[LoadImageX] Error reading the ${side} prompt of sampler ${nodeId}:`, error);
+            }
+        }
+        passes.push(pass);
+    }
+    return passes;
+}
+
+// Robust function to find positive/negative prompts in the workflow.
+// `samplerNodeId` picks a specific sampler pass; by default the pass that fed the saved image is used.
+function extractPromptsFromWorkflow(workflow, samplerNodeId = null) {
+    const prompts = { positive: "", negative: "", settings: {}, passes: [], samplerNodeId: null, sources: { positive: null, negative: null } };
+    if (!workflow) return prompts;
+
+    prompts.passes = findSamplerPasses(workflow);
+    const chosenPass = samplerNodeId && prompts.passes.find(pass => pass.nodeId === String(samplerNodeId));
+    const defaultSamplerId = findSamplerNode(workflow);
+    prompts.samplerNodeId = chosenPass ? chosenPass.nodeId : defaultSamplerId;
+
+    // Generation settings come from the sampler that produced the image
+    prompts.settings = extractSettingsFromWorkflow(workflow, prompts.samplerNodeId);
+
+    // An explicitly chosen pass is exactly what the user asked for
+    if (chosenPass) {
+        prompts.positive = chosenPass.positive;
+        prompts.negative = chosenPass.negative;
+        for (const side of ["positive", "negative"]) {
+            const source = chosenPass.sources[side];
+            prompts.sources[side] = source && { ...source, strategy: "chosen sampler pass" };
+        }
+        return prompts;
+    }
+
+    // 1. PRIORITY STRATEGY: Look for nodes explicitly named "Positive Prompt" or "Negative Prompt"
+    // This is the most reliable method for templates and organized workflows.
+    for (const nodeId in workflow) {
+        const node = workflow[nodeId];
+        const title = node._meta?.title?.toLowerCase() || "";
+        
+        if (NODE_RULES.prompt_titles.positive.includes(title)) {
+            // Only overwrite if we haven't found a text yet or if this seems more "direct"
+            const visited = new Set();
+            const suppliers = [];
+            const text = extractTextFromNode(nodeId, visited, workflow, suppliers);
+            if (text) {
+                prompts.positive = text;
+                prompts.sources.positive = describePromptSource(workflow, "title match", nodeId, [...visited], suppliers);
+            }
+        }
+        
+        if (NODE_RULES.prompt_titles.negative.includes(title)) {
+            const visited = new Set();
+            const suppliers = [];
+            const text = extractTextFromNode(nodeId, visited, workflow, suppliers);
+            if (text) {
+                prompts.negative = text;
+                prompts.sources.negative = describePromptSource(workflow, "title match", nodeId, [...visited], suppliers);
+            }
+        }
+    }
+
+    // If we found both via titles, we are done.
+    if (prompts.positive && prompts.negative) return prompts;
+
+    // 2. GRAPH TRAVERSAL STRATEGY: Use the prompt pair of the last pass before the SaveImage node
+    try {
+        const defaultPass = prompts.passes.find(pass => pass.nodeId === defaultSamplerId);
+        const positiveNodeId = defaultPass ? defaultPass.positiveNodeId : null;
+        const negativeNodeId = defaultPass ? defaultPass.negativeNodeId : null;
+
+        for (const side of ["positive", "negative"]) {
+            if (defaultPass && !prompts[side] && defaultPass[side]) {
+                prompts[side] = defaultPass[side];
+                prompts.sources[side] = defaultPass.sources[side];
+            }
+        }
+
+        // 3. FALLBACK STRATEGY: Scan for unconnected CLIPTextEncode nodes
+        if (!prompts.positive || !prompts.negative) {
+            const { class_types: encoderTypes, negative_title_markers: negativeMarkers } = NODE_RULES.fallback_encoders;
+            for (const nodeId in workflow) {
+                const node = workflow[nodeId];
+                if (encoderTypes.includes(node.class_type) && node.inputs && typeof node.inputs.text === 'string') {
+                    const title = node._meta?.title?.toLowerCase() || "";
+                    if (negativeMarkers.some(marker => title.includes(marker))) {
+                        if (!prompts.negative) {
+                            prompts.negative = node.inputs.text;
+                            prompts.sources.negative = describePromptSource(workflow, "CLIPTextEncode fallback", nodeId, [nodeId]);
+                        }
+                    } else {
+                        if (!prompts.positive && nodeId !== positiveNodeId && nodeId !== negativeNodeId) {
+                            prompts.positive = node.inputs.text;
+                            prompts.sources.positive = describePromptSource(workflow, "CLIPTextEncode fallback", nodeId, [nodeId]);
+                        }
+                    }
+                }
+            }
+        }
+        
+    } catch (error) {
+        logError("[LoadImageX] Error processing workflow:", error);
+    }
+    
+    return prompts;
+}
+
+// --- UI WORKFLOW (LiteGraph format) ---
+
+// widgets_values order of common node types, for images whose node packs aren't installed here
+// (node_rules.json). "control_after_generate" is the UI-only seed control stored next to the seed.
+const UI_WIDGET_NAMES = NODE_RULES.ui_widget_names;
+const SEED_CONTROL_VALUES = NODE_RULES.seed_control_values;
+
+// Fallbacks for node types missing from UI_WIDGET_NAMES: functions (type) -> widget names or null.
+// The ComfyUI extension adds one reading the node definitions of the running server.
+const widgetNameResolvers = [];
+
+function registerWidgetNameResolver(resolver) {
+    widgetNameResolvers.push(resolver);
+}
+
+function getWidgetNames(type) {
+    if (UI_WIDGET_NAMES[type]) return UI_WIDGET_NAMES[type];
+    for (const resolver of widgetNameResolvers) {
+        const names = resolver(type);
+        if (names) return names;
+    }
+    return null;
+}
+
+// Map a UI node's widgets_values to input names: known types, then the registered resolvers,
+// then the widget inputs newer frontends save with every node
+function mapWidgetValues(node) {
+    const values = node.widgets_values;
+    if (!values) return {};
+    if (!Array.isArray(values)) return typeof values === "object" ? { ...values } : {};
+
+    const mapped = {};
+    // rgthree Power Lora Loader stores one { on, lora, strength } object per LoRA, like its API inputs
+    let loraCount = 0;
+    for (const value of values) {
+        if (value && typeof value === "object" && "lora" in value) mapped[`lora_${++loraCount}`] = value;
+    }
+
+    const names = getWidgetNames(node.type);
+    if (names) {
+        names.forEach((name, i) => {
+            if (i < values.length && name !== "control_after_generate" && name !== "upload") mapped[name] = values[i];
+        });
+        return mapped;
+    }
+
+    const widgetInputs = (node.inputs || []).filter(input => input.widget && input.widget.name);
+    let index = 0;
+    for (const input of widgetInputs) {
+        if (index >= values.length) break;
+        mapped[input.widget.name] = values[index++];
+        // Skip the seed control value that follows seeds
+        if (/seed/i.test(input.widget.name) && SEED_CONTROL_VALUES.includes(values[index])) index++;
+    }
+    return mapped;
+}
+
+// The input a bypassed node hands on to one of its outputs, as ComfyUI does when it executes:
+// the input in the same slot if its type matches, else the first input of that type
+function findBypassInput(node, slot) {
+    const output = node.outputs && node.outputs[slot];
+    const inputs = (node.inputs || []).filter(input => input.link !== null && input.link !== undefined);
+    if (!output) return undefined;
+    const sameSlot = node.inputs && node.inputs[slot];
+    if (sameSlot && sameSlot.type === output.type && inputs.includes(sameSlot)) return sameSlot;
+    return inputs.find(input => input.type === output.type);
+}
+
+// Rebuild an API-style prompt ({ id: { class_type, inputs, _meta } }) from a UI workflow, so the
+// same sampler-based traversal works on images that only kept their "workflow" chunk
+function convertUIWorkflowToPrompt(workflow) {
+    if (!workflow || !Array.isArray(workflow.nodes)) return null;
+
+    const nodesById = new Map(workflow.nodes.map(node => [String(node.id), node]));
+    // Links are [id, origin_id, origin_slot, target_id, target_slot, type] or objects with the same names
+    const links = new Map();
+    for (const link of workflow.links || []) {
+        const [id, originId, originSlot] = Array.isArray(link) ? link : [link.id, link.origin_id, link.origin_slot];
+        links.set(id, { originId: String(originId), originSlot });
+    }
+
+    // Where a link really comes from: through Reroute and bypassed nodes, and straight to the value of primitives
+    const resolveLink = (linkId) => {
+        const visited = new Set();
+        let link = links.get(linkId);
+        while (link && !visited.has(link.originId)) {
+            visited.add(link.originId);
+            const origin = nodesById.get(link.originId);
+            if (!origin) return undefined;
+            if (origin.type === "Reroute") {
+                link = links.get(origin.inputs && origin.inputs[0] && origin.inputs[0].link);
+                continue;
+            }
+            if (origin.mode === 4) {
+                const input = findBypassInput(origin, link.originSlot);
+                link = input ? links.get(input.link) : undefined;
+                continue;
+            }
+            if (origin.type === "PrimitiveNode") {
+                return Array.isArray(origin.widgets_values) ? origin.widgets_values[0] : undefined;
+            }
+            return [link.originId, link.originSlot];
+        }
+        return undefined;
+    };
+
+    const prompt = {};
+    for (const node of workflow.nodes) {
+        // Muted (2) and bypassed (4) nodes never ran; reroutes, bypasses and primitives are resolved into the links above
+        if (node.mode === 2 || node.mode === 4 || node.type === "Reroute" || node.type === "PrimitiveNode") continue;
+
+        const inputs = mapWidgetValues(node);
+        for (const input of node.inputs || []) {
+            if (input.link === null || input.link === undefined) continue;
+            const value = resolveLink(input.link);
+            if (value !== undefined) inputs[input.widget ? input.widget.name : input.name] = value;
+        }
+        prompt[String(node.id)] = { class_type: node.type, inputs, _meta: { title: node.title || node.type } };
+    }
+    return prompt;
+}
+
+const A1111_PARAM_PATTERN = /\s*([\w][\w \-/]*?):\s*("(?:\\.|[^\\"])*"|[^,]*)(?:,|$)/g;
+
+// The "Key: value, ..." pairs of an A1111 settings line, or null when the line is prompt text.
+// Weighted prompts like "(best quality:1.2), ..." contain "word:" pairs too, so the line has to
+// start with "Steps:" or consist of nothing but pairs.
+function parseA1111SettingsLine(line) {
+    if (!line || line.startsWith("Negative prompt:")) return null;
+    const pairs = [...line.matchAll(A1111_PARAM_PATTERN)].filter(match => match[0].length > 0);
+    if (/^Steps:\s*\d/.test(line)) return pairs;
+
+    let end = 0;
+    for (const match of pairs) {
+        if (match.index !== end) return null;
+        end = match.index + match[0].length;
+    }
+    return pairs.length >= 3 && end === line.length ? pairs : null;
+}
+
+// Parse the single "parameters" text chunk written by Automatic1111, Forge and Fooocus:
+//   <positive prompt, possibly several lines>
+//   Negative prompt: <negative prompt, possibly several lines>
+//   Steps: 30, Sampler: DPM++ 2M, CFG scale: 7, Seed: 123, Size: 512x768, ...
+function parseA1111Parameters(text) {
+    const result = { positive: "", negative: "", settings: {} };
+    if (!text || typeof text !== "string") return result;
+
+    // Fooocus (and a few forks) store a JSON object instead of the plain-text format
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{")) {
+        try {
+            const data = JSON.parse(cleanJSONString(trimmed));
+            const positive = data.prompt ?? data.Prompt ?? data.full_prompt;
+            const negative = data.negative_prompt ?? data["Negative Prompt"] ?? data.full_negative_prompt;
+            if (positive !== undefined || negative !== undefined) {
+                result.positive = Array.isArray(positive) ? positive.join("\n") : String(positive ?? "");
+                result.negative = Array.isArray(negative) ? negative.join("\n") : String(negative ?? "");
+                const promptKeys = ["prompt", "Prompt", "full_prompt", "negative_prompt", "Negative Prompt", "full_negative_prompt"];
+                for (const [key, value] of Object.entries(data)) {
+                    if (promptKeys.includes(key)) continue;
+                    if (typeof value !== "object" || value === null) result.settings[key] = value;
+                }
+                return result;
+            }
+        } catch (e) {
+            // Not JSON after all, fall through to the plain-text format
+        }
+    }
+
+    const lines = trimmed.split(/\r?\n/);
+
+    // The last line holds "Key: value" pairs; values may be quoted when they contain commas
+    const pairs = parseA1111SettingsLine(lines[lines.length - 1]);
+    if (pairs) {
+        lines.pop();
+        for (const [, key, rawValue] of pairs) {
+            let value = rawValue.trim();
+            if (value.startsWith('"') && value.endsWith('"')) {
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {
+                    value = value.slice(1, -1);
+                }
+            }
+            result.settings[key.trim()] = value;
+        }
+    }
+
+    const positiveLines = [];
+    const negativeLines = [];
+    let inNegative = false;
+    for (let line of lines) {
+        if (!inNegative && line.startsWith("Negative prompt:")) {
+            inNegative = true;
+            line = line.substring("Negative prompt:".length).trimStart();
+        }
+        (inNegative ? negativeLines : positiveLines).push(line);
+    }
+
+    result.positive = positiveLines.join("\n").trim();
+    result.negative = negativeLines.join("\n").trim();
+    return result;
+}
+
+// --- TEXT EXTRACTOR REGISTRY ---
+// class_type -> { handler, source }. A handler receives (node, context) and returns either
+//   - a string: the node's text,
+//   - { follow: "input" } or { follow: ["a", "b"] }: use the first of these inputs that yields text,
+//   - { follow: [...], join: "\n" }: combine the text of all of them,
+//   - null/undefined: not handled, let the general fallback try.
+// context = { nodeId, workflow, resolve(value) }, where resolve() turns a link or literal input into text.
+const textExtractors = new Map();
+
+function registerTextExtractor(classTypes, handler, { source = "unknown", override = false } = {}) {
+    if (typeof handler !== "function") {
+        throw new TypeError("[LoadImageX] registerTextExtractor needs a handler function");
+    }
+    const registered = [];
+    for (const classType of [].concat(classTypes)) {
+        const existing = textExtractors.get(classType);
+        if (existing && !override) {
+            // Reported on purpose even without ENABLE_LOGGING: this is a problem for extension authors
+            console.warn(`[LoadImageX] Text extractor for "${classType}" from "${source}" ignored: ` +
+                `already registered by "${existing.source}". Pass { override: true } to replace it.`);
+            continue;
+        }
+        textExtractors.set(classType, { handler, source });
+        registered.push(classType);
+    }
+    return registered;
+}
+
+function getTextExtractor(classType) {
+    const entry = textExtractors.get(classType);
+    return entry ? { handler: entry.handler, source: entry.source } : null;
+}
+
+// Turn a handler's result into text
+function applyExtractorResult(result, node, context) {
+    if (result === null || result === undefined) return null;
+    if (typeof result === "string") return result;
+    if (typeof result !== "object" || result.follow === undefined) return null;
+
+    const inputs = node.inputs || {};
+    const names = [].concat(result.follow).filter(name => inputs[name] !== undefined);
+    if (result.join !== undefined) {
+        return names.map(name => context.resolve(inputs[name])).filter(t => t).join(result.join);
+    }
+    for (const name of names) {
+        const text = context.resolve(inputs[name]);
+        if (text) return text;
+    }
+    return "";
+}
+
+// --- BUILT-IN TEXT NODES ---
+// Declared in node_rules.json, which the Python "Only Load Images With Metadata" filter reads too
+// (see node_rules.py for the format). A rule gives the text of a node:
+//   { first: [...] }  the first source with text: an input name, or { widget: index } into widgets_values
+//   { join: [...], separator / separator_input }  the text of all the inputs, joined
+//   { text: "" }  a constant
+function applyTextRule(rule, node, context) {
+    const inputs = node.inputs || {};
+    const read = (source) => {
+        if (typeof source === "string") return context.resolve(inputs[source]);
+        const value = (node.widgets_values || [])[source.widget];
+        return typeof value === "string" ? value : "";
+    };
+
+    if (rule.text !== undefined) return rule.text;
+    if (rule.join) {
+        const separator = rule.separator_input !== undefined
+            ? (typeof inputs[rule.separator_input] === "string" ? inputs[rule.separator_input] : "")
+            : (rule.separator || "");
+        return rule.join.map(read).filter(text => text).join(separator);
+    }
+    for (const source of rule.first || []) {
+        const text = read(source);
+        if (text) return text;
+    }
+    return "";
+}
+
+const BUILTIN = { source: "LoadImageX" };
+for (const rule of NODE_RULES.text_nodes) {
+    registerTextExtractor(rule.class_types, (node, context) => applyTextRule(rule, node, context), BUILTIN);
+}
+
+// Helper function extracted outside to be clean and recursive.
+// `suppliers` collects the ids of the nodes whose own text ended up in the result, in order.
+function extractTextFromNode(nodeId, visited = new Set(), workflow, suppliers = []) {
+    if (!nodeId || visited.has(nodeId)) return "";
+    visited.add(nodeId);
+    
+    const node = workflow[String(nodeId)];
+    if (!node) return "";
+
+    if (!node.inputs) return "";
+
+    // A node that got no text through its links supplied the text itself
+    let followedText = false;
+    const context = {
+        nodeId: String(nodeId),
+        workflow,
+        resolve: (value) => {
+            if (!Array.isArray(value)) return typeof value === "string" ? value : "";
+            const text = extractTextFromNode(String(value[0]), visited, workflow, suppliers);
+            if (text) followedText = true;
+            return text;
+        }
+    };
+    const supplied = (text) => {
+        if (text && !followedText) suppliers.push(String(nodeId));
+        return text;
+    };
+    const extractor = textExtractors.get(node.class_type);
+    if (extractor) {
+        try {
+            const text = applyExtractorResult(extractor.handler(node, context), node, context);
+            if (text !== null) return supplied(text);
+        } catch (error) {
+            logError(`[LoadImageX] Text extractor for "${node.class_type}" (${extractor.source}) failed:`, error);
+        }
+    }
+
+    // General fallback: the node's own text, or the conditioning it passes through
+    return supplied(applyTextRule(NODE_RULES.default_text_rule, node, context));
+}
+
+// Everything we can tell about an image from its metadata: prompts, settings, sampler passes, LoRAs.
+// Shared by the node widgets and the gallery, so it never touches the UI.
+function extractImageInfo(metadata, samplerNodeId = null) {
+    let info = { positive: "", negative: "", settings: {}, passes: [], samplerNodeId: null, sources: { positive: null, negative: null }, loras: [], embeddings: [] };
+    if (!metadata) return info;
+
+    // FIRST: Try to get NEGATIVE prompt from the prompt execution data
+    let promptData = null;
+    if (metadata.prompt) {
+        try {
+            promptData = JSON.parse(cleanJSONString(metadata.prompt));
+        } catch (e) {
+            logError("[LoadImageX] Error parsing prompt data:", e);
+        }
+    }
+    // Re-savers that only keep the UI workflow: rebuild the prompt from its nodes and links
+    let fromUIWorkflow = false;
+    if (!promptData && metadata.workflow) {
+        try {
+            promptData = convertUIWorkflowToPrompt(JSON.parse(cleanJSONString(metadata.workflow)));
+            fromUIWorkflow = !!promptData;
+        } catch (e) {
+            logError("[LoadImageX] Error converting the UI workflow:", e);
+        }
+    }
+    if (promptData) {
+        info = { ...info, ...extractPromptsFromWorkflow(promptData, samplerNodeId) };
+        info.loras = extractLorasFromWorkflow(promptData);
+        if (fromUIWorkflow) {
+            for (const side of ["positive", "negative"]) {
+                const source = info.sources[side];
+                if (source) info.sources[side] = { ...source, strategy: `${source.strategy} (UI workflow)` };
+            }
+        }
+    }
+    
+    // SECOND: Try to get POSITIVE prompt from the workflow data (Display Any node - more reliable)
+    if (metadata.workflow) {
+        try {
+            const workflowData = JSON.parse(cleanJSONString(metadata.workflow));
+            if (workflowData && workflowData.nodes) {
+                // Look for Display Any node with the prompt
+                for (const workflowNode of workflowData.nodes) {
+                    if (workflowNode.type === "Display Any (rgthree)" && 
+                        workflowNode.widgets_values && 
+                        workflowNode.widgets_values.length > 0) {
+                        const displayText = workflowNode.widgets_values[0];
+                        if (displayText && displayText.length > 100) { // Likely the full prompt
+                            info.positive = displayText;
+                            const source = {
+                                nodeId: String(workflowNode.id),
+                                class_type: workflowNode.type,
+                                title: workflowNode.title || workflowNode.type
+                            };
+                            info.sources.positive = { strategy: "Display Any (rgthree) override", ...source, path: [source] };
+                            break;
+                        }
+                    }
+                }
+            }
+        } catch (e) {
+            logError("[LoadImageX] Error parsing workflow data:", e);
+        }
+    }
+
+    // THIRD: Fall back to the A1111/Forge/Fooocus "parameters" text for anything still missing
+    if (metadata.parameters) {
+        const parameters = parseA1111Parameters(metadata.parameters);
+        for (const side of ["positive", "negative"]) {
+            if (!info[side] && parameters[side]) {
+                info[side] = parameters[side];
+                info.sources[side] = { strategy: "A1111 parameters", nodeId: null, class_type: "", title: "", path: [] };
+            }
+        }
+        // Values found in the ComfyUI graph win over the text summary
+        info.settings = { ...normalizeA1111Settings(parameters.settings), ...info.settings };
+        if (info.loras.length === 0) info.loras = extractLorasFromPromptText(parameters.positive);
+
+        log("%c[LoadImageX] Generation Parameters:", "color: #cc8800; font-weight: bold");
+        log("%c" + JSON.stringify(parameters.settings, null, 2), "color: #cc8800");
+    }
+
+    info.embeddings = extractEmbeddingsFromText(info.positive, info.negative);
+    return info;
+}
+
+export {
+    log,
+    logError,
+    cleanJSONString,
+    parsePNGMetadata,
+    parseJPEGMetadata,
+    parseWebPMetadata,
+    parseMP4Metadata,
+    parseMatroskaMetadata,
+    parseImageMetadata,
+    SETTINGS_ORDER,
+    formatSettings,
+    extractSettingsFromWorkflow,
+    extractLorasFromWorkflow,
+    findSamplerPasses,
+    extractPromptsFromWorkflow,
+    registerWidgetNameResolver,
+    convertUIWorkflowToPrompt,
+    parseA1111Parameters,
+    registerTextExtractor,
+    getTextExtractor,
+    extractTextFromNode,
+    extractImageInfo
+};